@@ -1,2 +1,5 @@
 import { app } from "./app.js";
-app.listen({ port: 7777 });
\ No newline at end of file
+import { startJobs } from "./jobs/jobs.js";
+
+startJobs();
+app.listen({ port: 7777 });
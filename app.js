@@ -1,19 +1,25 @@
 import { Application, Session } from "./deps.js";
-import { authMiddleware } from "./middlewares/authMiddleware.js";
+import { sessionStore } from "./database/sessionStore.js";
+import { csrfMiddleware } from "./middlewares/csrfMiddleware.js";
 import { errorMiddleware } from "./middlewares/errorMiddleware.js";
+import { rememberMeMiddleware } from "./middlewares/rememberMeMiddleware.js";
 import { renderMiddleware } from "./middlewares/renderMiddleware.js";
 import { serveStaticMiddleware } from "./middlewares/serveStaticMiddleware.js";
 import { userMiddleware } from "./middlewares/userMiddleware.js";
 import { router } from "./routes/routes.js";
+import { config } from "./config/config.js";
 
-const app = new Application();
-app.use(Session.initMiddleware());
-
+const app = new Application({ proxy: config.trustProxy });
+app.use(renderMiddleware);
 app.use(errorMiddleware);
-app.use(authMiddleware);
+app.use(Session.initMiddleware(sessionStore, {
+  cookieSetOptions: { sameSite: "lax" },
+}));
+app.use(rememberMeMiddleware);
+
 app.use(userMiddleware);
 app.use(serveStaticMiddleware);
-app.use(renderMiddleware);
+app.use(csrfMiddleware);
 app.use(router.routes());
 
 export { app };
\ No newline at end of file
@@ -0,0 +1,66 @@
+const stringFromEnv = (name, defaultValue) => {
+  return Deno.env.get(name) || defaultValue;
+};
+
+// Secrets have no default. The minimum length also rules out placeholders
+// such as "change-me".
+const MIN_SECRET_LENGTH = 32;
+
+const secretFromEnv = (name) => {
+  const value = Deno.env.get(name);
+
+  if (!value || value.length < MIN_SECRET_LENGTH) {
+    throw new Error(
+      `${name} must be set to a random value of at least ` +
+        `${MIN_SECRET_LENGTH} characters, for example the output of ` +
+        "openssl rand -hex 32.",
+    );
+  }
+
+  return value;
+};
+
+const numberFromEnv = (name, defaultValue) => {
+  const value = Deno.env.get(name);
+  return value ? Number(value) : defaultValue;
+};
+
+const config = {
+  // Releasing a claimed chore this close to its due date costs the
+  // claimant a penalty, which is paid to the chore's creator.
+  releasePenaltyCoins: numberFromEnv("RELEASE_PENALTY_COINS", 1),
+  releasePenaltyWindowHours: numberFromEnv("RELEASE_PENALTY_WINDOW_HOURS", 24),
+  // Claims still unfinished this long after the due date lapse, and the
+  // escrowed coins go back to the creator.
+  overdueGraceHours: numberFromEnv("OVERDUE_GRACE_HOURS", 48),
+  sessionIdleTimeoutMinutes: numberFromEnv("SESSION_IDLE_TIMEOUT_MINUTES", 120),
+  sessionMaxAgeHours: numberFromEnv("SESSION_MAX_AGE_HOURS", 24),
+  rememberMeDays: numberFromEnv("REMEMBER_ME_DAYS", 30),
+  // Failed logins double the wait before the next attempt, starting from
+  // loginBackoffSeconds, and lock the email address or IP address out for
+  // loginLockoutMinutes once their limit is reached. Requests for password
+  // reset emails are throttled the same way.
+  loginBackoffSeconds: numberFromEnv("LOGIN_BACKOFF_SECONDS", 1),
+  loginMaxFailures: numberFromEnv("LOGIN_MAX_FAILURES", 5),
+  loginMaxFailuresPerIp: numberFromEnv("LOGIN_MAX_FAILURES_PER_IP", 20),
+  loginLockoutMinutes: numberFromEnv("LOGIN_LOCKOUT_MINUTES", 15),
+  appUrl: stringFromEnv("APP_URL", "http://localhost:7777"),
+  // Takes the client's IP address from the X-Forwarded-For header. Only
+  // enable this when the app can be reached solely through a reverse proxy
+  // that sets the header, as clients could otherwise pick their own
+  // address and dodge the login throttling.
+  trustProxy: stringFromEnv("TRUST_PROXY", "false") === "true",
+  // Signs the links sent by email.
+  appSecret: secretFromEnv("APP_SECRET"),
+  mailTransport: stringFromEnv("MAIL_TRANSPORT", "outbox"),
+  mailFrom: stringFromEnv("MAIL_FROM", "chores@localhost"),
+  smtpHost: stringFromEnv("SMTP_HOST", "localhost"),
+  smtpPort: numberFromEnv("SMTP_PORT", 587),
+  smtpTls: stringFromEnv("SMTP_TLS", "false") === "true",
+  smtpUser: stringFromEnv("SMTP_USER", ""),
+  smtpPassword: stringFromEnv("SMTP_PASSWORD", ""),
+  passwordResetTokenMinutes: numberFromEnv("PASSWORD_RESET_TOKEN_MINUTES", 60),
+  emailVerificationHours: numberFromEnv("EMAIL_VERIFICATION_HOURS", 48),
+};
+
+export { config };
@@ -0,0 +1,74 @@
+import { sql } from "./database.js";
+import { config } from "../config/config.js";
+
+// A session expires once it has been idle for the idle timeout, and at the
+// latest when it reaches its maximum age. Sessions marked "remember me"
+// use the longer remember-me period for both.
+const lifetimeOf = (sessionData) => {
+  if (sessionData.rememberMe) {
+    return {
+      idleMinutes: config.rememberMeDays * 24 * 60,
+      maxAgeHours: config.rememberMeDays * 24,
+    };
+  }
+
+  return {
+    idleMinutes: config.sessionIdleTimeoutMinutes,
+    maxAgeHours: config.sessionMaxAgeHours,
+  };
+};
+
+// Implements the store interface of oak_sessions.
+const sessionStore = {
+  async sessionExists(sessionId) {
+    const rows = await sql`SELECT id FROM sessions
+        WHERE id = ${sessionId} AND expires_at > NOW()`;
+    return rows.length > 0;
+  },
+
+  async getSessionById(sessionId) {
+    const rows = await sql`SELECT data FROM sessions
+        WHERE id = ${sessionId} AND expires_at > NOW()`;
+    return rows.length > 0 ? rows[0].data : null;
+  },
+
+  async createSession(sessionId, initialData) {
+    const { idleMinutes } = lifetimeOf(initialData);
+
+    await sql`INSERT INTO sessions (id, data, expires_at)
+        VALUES (${sessionId}, ${sql.json(initialData)},
+          NOW() + make_interval(mins => ${idleMinutes}))`;
+  },
+
+  async persistSessionData(sessionId, sessionData) {
+    const { idleMinutes, maxAgeHours } = lifetimeOf(sessionData);
+
+    await sql`UPDATE sessions SET data = ${sql.json(sessionData)},
+        updated_at = NOW(),
+        expires_at = LEAST(
+          created_at + make_interval(hours => ${maxAgeHours}),
+          NOW() + make_interval(mins => ${idleMinutes})
+        )
+      WHERE id = ${sessionId}`;
+  },
+
+  async deleteSession(sessionId) {
+    await sql`DELETE FROM sessions WHERE id = ${sessionId}`;
+  },
+};
+
+// Revokes the logins of expired sessions along with them, so that they are
+// no longer listed as active.
+const deleteExpiredSessions = async () => {
+  await sql.begin(async (tx) => {
+    await tx`UPDATE user_sessions SET revoked_at = NOW()
+        WHERE revoked_at IS NULL AND token IN (
+          SELECT data->>'sessionToken' FROM sessions
+            WHERE expires_at <= NOW()
+        )`;
+
+    await tx`DELETE FROM sessions WHERE expires_at <= NOW()`;
+  });
+};
+
+export { deleteExpiredSessions, sessionStore };
@@ -1,6 +1,7 @@
 export { configure, renderFile } from "https://deno.land/x/eta@v2.2.0/mod.ts";
 export {
   Application,
+  isHttpError,
   Router,
   send,
 } from "https://deno.land/x/oak@v12.6.1/mod.ts";
@@ -8,4 +9,6 @@ import postgres from "https://deno.land/x/postgresjs@v3.4.4/mod.js";
 export { postgres };
 export { Session } from "https://deno.land/x/oak_sessions@v4.1.9/mod.ts";
 export * as bcrypt from "https://deno.land/x/bcrypt@v0.4.1/mod.ts";
-export * as validasaur from "https://deno.land/x/validasaur@v0.15.0/mod.ts";
\ No newline at end of file
+export * as validasaur from "https://deno.land/x/validasaur@v0.15.0/mod.ts";
+export { SMTPClient } from "https://deno.land/x/denomailer@1.6.0/mod.ts";
+export { qrcode } from "https://deno.land/x/qrcode@v2.0.0/mod.ts";
@@ -0,0 +1,5 @@
+ALTER TABLE chore_assignments
+  ADD COLUMN overdue_notified_at TIMESTAMP WITH TIME ZONE;
+-- Set when the claim was released automatically after the grace period.
+ALTER TABLE chore_assignments
+  ADD COLUMN lapsed boolean NOT NULL DEFAULT false;
@@ -0,0 +1,15 @@
+-- One row per login. The browser session only holds the user id and the
+-- token of its row, so a login can be listed and revoked server-side.
+CREATE TABLE user_sessions (
+  id SERIAL PRIMARY KEY,
+  token varchar(64) NOT NULL UNIQUE,
+  user_id integer NOT NULL,
+  user_agent TEXT,
+  ip_address varchar(64),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT fk_user_id FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX ON user_sessions(user_id);
@@ -0,0 +1,11 @@
+-- Browser sessions, kept in the database so that they survive restarts and
+-- can be shared by several app instances.
+CREATE TABLE sessions (
+  id varchar(64) PRIMARY KEY,
+  data jsonb NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX ON sessions(expires_at);
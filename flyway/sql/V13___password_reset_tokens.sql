@@ -0,0 +1,11 @@
+-- Only a SHA-256 hash of each reset token is stored, so the table cannot be
+-- used to reset passwords if it leaks.
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id integer NOT NULL,
+  token_hash varchar(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT fk_user_id FOREIGN KEY (user_id) REFERENCES users(id)
+);
@@ -0,0 +1,6 @@
+-- NULL until the user follows the verification link sent to their email
+-- address. Accounts that existed before verification was introduced count
+-- as verified.
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE users SET email_verified_at = NOW();
@@ -0,0 +1,12 @@
+-- Every login attempt, kept for a day to throttle password guessing per
+-- email address and per IP address.
+CREATE TABLE login_attempts (
+  id SERIAL PRIMARY KEY,
+  email varchar(255) NOT NULL,
+  ip_address varchar(64),
+  succeeded boolean NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX ON login_attempts((lower(email)), created_at);
+CREATE INDEX ON login_attempts(ip_address, created_at);
@@ -0,0 +1,16 @@
+-- TOTP two-factor authentication. totp_last_step is the time step of the
+-- last accepted code, so that a code cannot be used twice.
+ALTER TABLE users ADD COLUMN totp_secret varchar(64);
+ALTER TABLE users ADD COLUMN totp_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN totp_last_step bigint;
+
+CREATE TABLE recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id integer NOT NULL,
+  code_hash varchar(64) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT fk_user_id FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX ON recovery_codes(user_id);
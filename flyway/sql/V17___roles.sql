@@ -0,0 +1,25 @@
+-- Every user has one role. What each role may do is defined in
+-- utils/permissions.js. Roles move to memberships in V21; the first
+-- administrator is made with scripts/makeAdmin.js, see the README.
+CREATE TABLE roles (
+  name varchar(32) PRIMARY KEY,
+  description TEXT NOT NULL,
+  requires_two_factor boolean NOT NULL DEFAULT false
+);
+
+INSERT INTO roles (name, description) VALUES
+  ('resident', 'Resident'),
+  ('board', 'Board member'),
+  ('admin', 'Administrator');
+
+ALTER TABLE users ADD COLUMN role varchar(32) NOT NULL DEFAULT 'resident'
+  REFERENCES roles(name);
+
+-- Chores taken down by a moderator rather than cancelled by their creator.
+ALTER TABLE chores ADD COLUMN removed_by integer REFERENCES users(id);
+ALTER TABLE chores ADD COLUMN removal_reason TEXT;
+
+-- Manual balance adjustments record who made them and why.
+ALTER TABLE coin_transactions ADD COLUMN created_by integer
+  REFERENCES users(id);
+ALTER TABLE coin_transactions ADD COLUMN note TEXT;
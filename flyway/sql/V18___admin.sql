@@ -0,0 +1,7 @@
+-- Deactivated accounts cannot log in until an administrator reactivates
+-- them.
+ALTER TABLE users ADD COLUMN deactivated_at TIMESTAMP WITH TIME ZONE;
+
+-- Set when a moderator took the chore away from its claimant.
+ALTER TABLE chore_assignments ADD COLUMN unassigned_by integer
+  REFERENCES users(id);
@@ -0,0 +1,16 @@
+ALTER TABLE users ADD COLUMN created_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing users get the time of their earliest recorded activity, which
+-- stays NULL for users who never did anything.
+UPDATE users SET created_at = (
+  SELECT MIN(at) FROM (
+    SELECT MIN(created_at) AS at FROM coin_transactions
+      WHERE user_id = users.id
+    UNION ALL
+    SELECT MIN(created_at) FROM chores WHERE user_id = users.id
+    UNION ALL
+    SELECT MIN(created_at) FROM user_sessions WHERE user_id = users.id
+  ) AS activity
+);
+
+ALTER TABLE users ALTER COLUMN created_at SET DEFAULT NOW();
@@ -0,0 +1,43 @@
+-- The housing association owns buildings, which are divided into
+-- staircases, which contain the units residents live in.
+CREATE TABLE associations (
+  id SERIAL PRIMARY KEY,
+  name varchar(255) NOT NULL
+);
+
+CREATE TABLE buildings (
+  id SERIAL PRIMARY KEY,
+  association_id integer NOT NULL REFERENCES associations(id),
+  name varchar(255) NOT NULL,
+  street_address varchar(255) NOT NULL
+);
+
+CREATE TABLE staircases (
+  id SERIAL PRIMARY KEY,
+  building_id integer NOT NULL REFERENCES buildings(id),
+  name varchar(255) NOT NULL,
+  UNIQUE (building_id, name)
+);
+
+CREATE TABLE units (
+  id SERIAL PRIMARY KEY,
+  staircase_id integer NOT NULL REFERENCES staircases(id),
+  name varchar(255) NOT NULL,
+  UNIQUE (staircase_id, name)
+);
+
+INSERT INTO associations (name) VALUES ('Housing association');
+
+-- Residents pick a unit. The free-text address is kept for existing users
+-- until they choose their unit on the profile page.
+ALTER TABLE users ADD COLUMN unit_id integer REFERENCES units(id);
+ALTER TABLE users ALTER COLUMN address DROP NOT NULL;
+
+-- A chore is for the whole association, one building or one staircase.
+ALTER TABLE chores ADD COLUMN building_id integer REFERENCES buildings(id);
+ALTER TABLE chores ADD COLUMN staircase_id integer
+  REFERENCES staircases(id);
+ALTER TABLE chore_schedules ADD COLUMN building_id integer
+  REFERENCES buildings(id);
+ALTER TABLE chore_schedules ADD COLUMN staircase_id integer
+  REFERENCES staircases(id);
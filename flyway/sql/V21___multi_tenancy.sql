@@ -0,0 +1,68 @@
+-- Several associations share one instance. A user belongs to associations
+-- through memberships, each with its own role, unit and chorecoin balance,
+-- and all chore and ledger data belongs to exactly one association.
+CREATE TABLE memberships (
+  id SERIAL PRIMARY KEY,
+  user_id integer NOT NULL REFERENCES users(id),
+  association_id integer NOT NULL REFERENCES associations(id),
+  role varchar(32) NOT NULL DEFAULT 'resident' REFERENCES roles(name),
+  unit_id integer REFERENCES units(id),
+  chorecoins integer NOT NULL DEFAULT 0,
+  escrowed_chorecoins integer NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  deactivated_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (user_id, association_id)
+);
+
+CREATE INDEX ON memberships(association_id);
+
+-- Everything so far belongs to the association created with the property
+-- model.
+INSERT INTO memberships
+  (user_id, association_id, role, unit_id, chorecoins, escrowed_chorecoins,
+    created_at, deactivated_at)
+  SELECT id, (SELECT MIN(id) FROM associations), role, unit_id, chorecoins,
+      escrowed_chorecoins, COALESCE(created_at, NOW()), deactivated_at
+    FROM users;
+
+ALTER TABLE chores ADD COLUMN association_id integer
+  REFERENCES associations(id);
+ALTER TABLE chore_assignments ADD COLUMN association_id integer
+  REFERENCES associations(id);
+ALTER TABLE chore_schedules ADD COLUMN association_id integer
+  REFERENCES associations(id);
+ALTER TABLE coin_transactions ADD COLUMN association_id integer
+  REFERENCES associations(id);
+
+UPDATE chores SET association_id = (SELECT MIN(id) FROM associations);
+UPDATE chore_assignments SET association_id = (SELECT MIN(id) FROM associations);
+UPDATE chore_schedules SET association_id = (SELECT MIN(id) FROM associations);
+UPDATE coin_transactions SET association_id = (SELECT MIN(id) FROM associations);
+
+ALTER TABLE chores ALTER COLUMN association_id SET NOT NULL;
+ALTER TABLE chore_assignments ALTER COLUMN association_id SET NOT NULL;
+ALTER TABLE chore_schedules ALTER COLUMN association_id SET NOT NULL;
+ALTER TABLE coin_transactions ALTER COLUMN association_id SET NOT NULL;
+
+CREATE INDEX ON chores(association_id);
+CREATE INDEX ON coin_transactions(association_id);
+
+-- Each association decides which of its roles require two-factor
+-- authentication. Without a row here, the role's default applies.
+CREATE TABLE association_roles (
+  association_id integer NOT NULL REFERENCES associations(id),
+  role varchar(32) NOT NULL REFERENCES roles(name),
+  requires_two_factor boolean NOT NULL,
+  PRIMARY KEY (association_id, role)
+);
+
+INSERT INTO association_roles (association_id, role, requires_two_factor)
+  SELECT (SELECT MIN(id) FROM associations), name, requires_two_factor
+    FROM roles;
+
+-- These now live on the membership.
+ALTER TABLE users DROP COLUMN role;
+ALTER TABLE users DROP COLUMN unit_id;
+ALTER TABLE users DROP COLUMN chorecoins;
+ALTER TABLE users DROP COLUMN escrowed_chorecoins;
+ALTER TABLE users DROP COLUMN deactivated_at;
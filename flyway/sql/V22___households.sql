@@ -0,0 +1,39 @@
+-- Members of a unit can form a household that shares one chorecoin wallet.
+-- households.chorecoins and households.escrowed_chorecoins are cached sums
+-- of the ledger rows booked to the household, like the balances on
+-- memberships.
+CREATE TABLE households (
+  id SERIAL PRIMARY KEY,
+  association_id integer NOT NULL REFERENCES associations(id),
+  unit_id integer NOT NULL UNIQUE REFERENCES units(id),
+  name varchar(255) NOT NULL,
+  chorecoins integer NOT NULL DEFAULT 0,
+  escrowed_chorecoins integer NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE memberships ADD COLUMN household_id integer
+  REFERENCES households(id);
+
+-- Joining moves the member's coins into the shared wallet, so members only
+-- join a household they were invited to.
+ALTER TABLE memberships ADD COLUMN household_invitation_id integer
+  REFERENCES households(id);
+
+-- Ledger rows of a household member are booked to the household's wallet
+-- rather than to the member's own balance.
+ALTER TABLE coin_transactions ADD COLUMN household_id integer
+  REFERENCES households(id);
+
+-- The household a chore was posted or claimed from, for statistics. A
+-- claim made for the household can be finished or released by any of its
+-- members.
+ALTER TABLE chores ADD COLUMN household_id integer
+  REFERENCES households(id);
+ALTER TABLE chore_assignments ADD COLUMN household_id integer
+  REFERENCES households(id);
+ALTER TABLE chore_assignments ADD COLUMN for_household boolean NOT NULL
+  DEFAULT false;
+
+CREATE INDEX ON memberships(household_id);
+CREATE INDEX ON coin_transactions(household_id);
@@ -0,0 +1,4 @@
+-- Password reset requests are throttled like failed logins, so they are
+-- recorded in the same table under their own purpose.
+ALTER TABLE login_attempts
+  ADD COLUMN purpose varchar(32) NOT NULL DEFAULT 'login';
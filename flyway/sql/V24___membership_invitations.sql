@@ -0,0 +1,13 @@
+-- Administrators invite people to their association by email address.
+-- Whoever has that address, now or after registering, becomes a member
+-- only by accepting the invitation.
+CREATE TABLE membership_invitations (
+  id SERIAL PRIMARY KEY,
+  association_id integer NOT NULL REFERENCES associations(id),
+  email varchar(255) NOT NULL,
+  invited_by integer NOT NULL REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX ON membership_invitations(association_id, (lower(email)));
+CREATE INDEX ON membership_invitations((lower(email)));
@@ -0,0 +1,7 @@
+-- Notifications about chores and coins belong to the association they
+-- happened in. Those about the account itself, such as a lockout, have no
+-- association and are shown in every one.
+ALTER TABLE notifications ADD COLUMN association_id integer
+  REFERENCES associations(id);
+
+UPDATE notifications SET association_id = (SELECT MIN(id) FROM associations);
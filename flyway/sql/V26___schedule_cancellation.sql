@@ -0,0 +1,3 @@
+-- A cancelled schedule creates no further chores. The chores it has
+-- already created are left as they are.
+ALTER TABLE chore_schedules ADD COLUMN cancelled_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,29 @@
+CREATE SEQUENCE coin_transfer_id_seq;
+
+-- Every coin movement is recorded as a transfer of two rows (a debit and a
+-- credit) sharing the same transfer_id, so the amounts of a transfer always
+-- sum to zero. A NULL user_id is the association's own treasury account.
+CREATE TABLE coin_transactions (
+  id SERIAL PRIMARY KEY,
+  transfer_id integer NOT NULL,
+  user_id integer,
+  chore_id integer,
+  amount integer NOT NULL,
+  reason varchar(255) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT fk_user_id FOREIGN KEY (user_id) REFERENCES users(id),
+  CONSTRAINT fk_chore_id FOREIGN KEY (chore_id) REFERENCES chores(id)
+);
+
+CREATE INDEX ON coin_transactions(transfer_id);
+CREATE INDEX ON coin_transactions(user_id);
+
+-- Existing balances are carried over as opening balances from the treasury.
+WITH opening AS (
+  SELECT id, chorecoins, nextval('coin_transfer_id_seq') AS transfer_id
+    FROM users WHERE chorecoins <> 0
+)
+INSERT INTO coin_transactions (transfer_id, user_id, amount, reason)
+  SELECT transfer_id, id, chorecoins, 'opening_balance' FROM opening
+  UNION ALL
+  SELECT transfer_id, NULL, -chorecoins, 'opening_balance' FROM opening;
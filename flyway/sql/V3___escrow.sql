@@ -0,0 +1,57 @@
+-- Ledger rows now belong to either the spendable ("available") or the
+-- reserved ("escrow") part of an account.
+ALTER TABLE coin_transactions
+  ADD COLUMN account varchar(16) NOT NULL DEFAULT 'available'
+    CHECK (account IN ('available', 'escrow'));
+
+ALTER TABLE users ADD COLUMN escrowed_chorecoins integer NOT NULL DEFAULT 0;
+
+-- Reserve the coins of every chore that has not been paid out yet, oldest
+-- chore first, for as long as the creator's balance covers them. A chore
+-- only partly covered has its reward lowered to what could be reserved, so
+-- that no balance goes negative.
+CREATE TEMPORARY TABLE open_chores AS
+  SELECT id, user_id, LEAST(chorecoins, GREATEST(balance - reserved_before, 0))
+      AS reserved
+    FROM (
+      SELECT chores.id, chores.user_id, chores.chorecoins,
+          users.chorecoins AS balance,
+          SUM(chores.chorecoins) OVER (
+            PARTITION BY chores.user_id ORDER BY chores.id
+          ) - chores.chorecoins AS reserved_before
+        FROM chores JOIN users ON users.id = chores.user_id
+        WHERE chores.chorecoins > 0
+          AND chores.id NOT IN (
+            SELECT chore_id FROM chore_assignments
+              WHERE completed_at IS NOT NULL
+          )
+    ) AS ordered_chores;
+
+UPDATE chores SET chorecoins = open_chores.reserved
+  FROM open_chores
+  WHERE chores.id = open_chores.id AND chores.chorecoins > open_chores.reserved;
+
+WITH escrowed AS (
+  SELECT id, user_id, reserved, nextval('coin_transfer_id_seq') AS transfer_id
+    FROM open_chores
+    WHERE reserved > 0
+)
+INSERT INTO coin_transactions
+  (transfer_id, user_id, chore_id, account, amount, reason)
+  SELECT transfer_id, user_id, id, 'available', -reserved, 'chore_escrowed'
+    FROM escrowed
+  UNION ALL
+  SELECT transfer_id, user_id, id, 'escrow', reserved, 'chore_escrowed'
+    FROM escrowed;
+
+DROP TABLE open_chores;
+
+UPDATE users SET
+  chorecoins = (
+    SELECT COALESCE(SUM(amount), 0) FROM coin_transactions
+      WHERE user_id = users.id AND account = 'available'
+  ),
+  escrowed_chorecoins = (
+    SELECT COALESCE(SUM(amount), 0) FROM coin_transactions
+      WHERE user_id = users.id AND account = 'escrow'
+  );
@@ -0,0 +1,20 @@
+-- Keep a single assignment per chore, preferring the one that was completed
+-- and otherwise the earliest claim.
+DELETE FROM chore_assignments WHERE ctid IN (
+  SELECT ctid FROM (
+    SELECT ctid, ROW_NUMBER() OVER (
+      PARTITION BY chore_id
+      ORDER BY completed_at NULLS LAST, created_at NULLS LAST, ctid
+    ) AS position
+    FROM chore_assignments
+  ) AS ranked
+  WHERE position > 1
+);
+
+UPDATE chore_assignments SET created_at = NOW() WHERE created_at IS NULL;
+
+ALTER TABLE chore_assignments ADD COLUMN id SERIAL PRIMARY KEY;
+ALTER TABLE chore_assignments ALTER COLUMN created_at SET NOT NULL;
+ALTER TABLE chore_assignments ALTER COLUMN created_at SET DEFAULT NOW();
+ALTER TABLE chore_assignments
+  ADD CONSTRAINT unique_chore_id UNIQUE (chore_id);
@@ -0,0 +1,8 @@
+-- A claimant marking a chore complete only submits it for review. The
+-- assignment is completed (and paid out) once the creator approves it.
+ALTER TABLE chore_assignments ADD COLUMN submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE chore_assignments ADD COLUMN rejected_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE chore_assignments ADD COLUMN rejection_reason TEXT;
+
+UPDATE chore_assignments SET submitted_at = completed_at
+  WHERE completed_at IS NOT NULL;
@@ -0,0 +1,20 @@
+-- A schedule is a template for recurring chores. Occurrence n of a schedule
+-- is due at starts_at + n * repeat_every units of the frequency.
+CREATE TABLE chore_schedules (
+  id SERIAL PRIMARY KEY,
+  user_id integer NOT NULL,
+  title varchar(255) NOT NULL,
+  description TEXT NOT NULL,
+  chorecoins integer NOT NULL DEFAULT 0,
+  frequency varchar(16) NOT NULL
+    CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+  repeat_every integer NOT NULL DEFAULT 1 CHECK (repeat_every > 0),
+  starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  occurrences integer NOT NULL DEFAULT 0,
+  CONSTRAINT fk_user_id FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+ALTER TABLE chores ADD COLUMN schedule_id integer;
+ALTER TABLE chores ADD CONSTRAINT fk_schedule_id
+  FOREIGN KEY (schedule_id) REFERENCES chore_schedules(id);
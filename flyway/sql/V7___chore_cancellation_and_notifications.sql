@@ -0,0 +1,12 @@
+ALTER TABLE chores ADD COLUMN cancelled_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE notifications (
+  id SERIAL PRIMARY KEY,
+  user_id integer NOT NULL,
+  message TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  read_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT fk_user_id FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX ON notifications(user_id);
@@ -0,0 +1,3 @@
+-- Chores created before this migration have no known creation time.
+ALTER TABLE chores ADD COLUMN created_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE chores ALTER COLUMN created_at SET DEFAULT NOW();
@@ -0,0 +1,9 @@
+-- Released assignments are kept as history, so a chore may now have many
+-- assignments of which at most one is active.
+ALTER TABLE chore_assignments ADD COLUMN released_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE chore_assignments
+  ADD COLUMN release_penalty integer NOT NULL DEFAULT 0;
+
+ALTER TABLE chore_assignments DROP CONSTRAINT unique_chore_id;
+CREATE UNIQUE INDEX unique_active_chore_id ON chore_assignments(chore_id)
+  WHERE released_at IS NULL;
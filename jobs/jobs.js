@@ -0,0 +1,31 @@
+import { deleteExpiredSessions } from "../database/sessionStore.js";
+import * as choreService from "../services/choreService.js";
+import * as loginAttemptService from "../services/loginAttemptService.js";
+import * as scheduleService from "../services/scheduleService.js";
+import { logError } from "../utils/logger.js";
+
+const JOB_INTERVAL_MS = 60 * 1000;
+
+const runJob = async (job) => {
+  try {
+    await job();
+  } catch (e) {
+    logError(e.message, { job: job.name, stack: e.stack });
+  }
+};
+
+const startJobs = () => {
+  setInterval(() => runJob(choreService.refundExpiredChores), JOB_INTERVAL_MS);
+  setInterval(() => runJob(choreService.handleOverdueChores), JOB_INTERVAL_MS);
+  setInterval(
+    () => runJob(scheduleService.generateScheduledChores),
+    JOB_INTERVAL_MS,
+  );
+  setInterval(() => runJob(deleteExpiredSessions), JOB_INTERVAL_MS);
+  setInterval(
+    () => runJob(loginAttemptService.deleteOldLoginAttempts),
+    JOB_INTERVAL_MS,
+  );
+};
+
+export { startJobs };
@@ -0,0 +1,50 @@
+import { generateToken, tokensEqual } from "../utils/tokens.js";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Forms send the token in a hidden _csrf field, scripts in an X-CSRF-Token
+// header.
+const getSubmittedToken = async (request) => {
+  const headerToken = request.headers.get("x-csrf-token");
+  if (headerToken) {
+    return headerToken;
+  }
+
+  const contentType = request.headers.get("content-type") ?? "";
+  if (
+    request.hasBody &&
+    contentType.startsWith("application/x-www-form-urlencoded")
+  ) {
+    const body = request.body({ type: "form" });
+    const params = await body.value;
+    return params.get("_csrf");
+  }
+
+  return null;
+};
+
+// Every session gets a token that renderMiddleware passes to the views as
+// it.csrfToken. Requests that change state must send it back.
+const csrfMiddleware = async (context, next) => {
+  let token = await context.state.session.get("csrfToken");
+  if (!token) {
+    token = generateToken();
+    await context.state.session.set("csrfToken", token);
+  }
+  context.csrfToken = token;
+
+  if (
+    !SAFE_METHODS.includes(context.request.method) &&
+    !tokensEqual(token, await getSubmittedToken(context.request))
+  ) {
+    context.response.status = 403;
+    await context.render("errors/403.eta", {
+      message: "The form has expired. Go back, reload the page and try again.",
+    });
+    return;
+  }
+
+  await next();
+};
+
+export { csrfMiddleware };
@@ -1,9 +1,82 @@
+import { isHttpError } from "../deps.js";
+import { logError, logInfo } from "../utils/logger.js";
+
+// A request id sent by a proxy in front of the app is kept, so that its
+// logs and ours can be matched.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+const errorTemplates = {
+  400: "errors/400.eta",
+  403: "errors/403.eta",
+  404: "errors/404.eta",
+  500: "errors/500.eta",
+};
+
+// Statuses without a page of their own get the generic client or server
+// error page.
+const renderError = async (context, status) => {
+  const template = errorTemplates[status] ??
+    errorTemplates[status < 500 ? 400 : 500];
+
+  context.response.status = status;
+  try {
+    await context.render(template);
+  } catch (e) {
+    logError("could not render error page", {
+      requestId: context.requestId,
+      error: e.message,
+    });
+    context.response.headers.set("Content-Type", "text/plain");
+    context.response.body = `Error ${status}. Request id: ${context.requestId}`;
+  }
+};
+
+// Logs the pattern of the matched route instead of the actual path, so
+// that tokens in paths such as /auth/reset-password/:token stay out of the
+// logs. Requests that no route matched, such as those for static files,
+// are logged with their path.
+const routeOf = ({ matched, request }) => {
+  const route = (matched ?? []).find((layer) =>
+    layer.methods.includes(request.method)
+  );
+  return route ? route.path : request.url.pathname;
+};
+
+// Outermost middleware: gives every request an id, turns unhandled errors
+// and unmatched routes into error pages, and logs each request.
 const errorMiddleware = async (context, next) => {
+  const { request, response } = context;
+  const startedAt = Date.now();
+  const requestIdHeader = request.headers.get("x-request-id");
+  context.requestId = REQUEST_ID_PATTERN.test(requestIdHeader ?? "")
+    ? requestIdHeader
+    : crypto.randomUUID();
+  response.headers.set("X-Request-Id", context.requestId);
+
   try {
     await next();
+
+    if (response.status === 404 && !response.body) {
+      await renderError(context, 404);
+    }
   } catch (e) {
-    console.log(e);
+    const status = isHttpError(e) ? e.status : 500;
+    logError(e.message, {
+      requestId: context.requestId,
+      status,
+      stack: e.stack,
+    });
+    await renderError(context, status);
   }
+
+  logInfo("request", {
+    requestId: context.requestId,
+    method: request.method,
+    path: routeOf(context),
+    userId: context.user ? context.user.id : null,
+    status: response.status,
+    durationMs: Date.now() - startedAt,
+  });
 };
 
-export { errorMiddleware };
\ No newline at end of file
+export { errorMiddleware };
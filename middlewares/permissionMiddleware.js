@@ -0,0 +1,55 @@
+import { hasPermission } from "../utils/permissions.js";
+
+// Route middleware, listed before the controller in routes.js:
+//
+//   router.get("/chores", requireUser, choreController.listChores);
+//   router.post("/x", requirePermission("coins:adjust"), controller.x);
+
+// Only requires a logged-in user. Used for the pages a user needs to reach
+// before two-factor enrolment is complete.
+const requireLogin = async (context, next) => {
+  if (!context.user) {
+    context.response.redirect("/auth/login");
+    return;
+  }
+
+  await next();
+};
+
+// Users whose role requires two-factor authentication are sent to enrol
+// before they can use anything else. Everything else happens inside an
+// association, so users without an active membership are sent to their
+// invitations.
+const requireUser = async (context, next) => {
+  await requireLogin(context, async () => {
+    if (
+      context.user.requires_two_factor && !context.user.totp_enabled_at
+    ) {
+      context.response.redirect("/account/two-factor");
+      return;
+    }
+
+    if (!context.membership) {
+      context.response.redirect("/associations/invitations");
+      return;
+    }
+
+    await next();
+  });
+};
+
+const requirePermission = (permission) => {
+  return async (context, next) => {
+    await requireUser(context, async () => {
+      if (!hasPermission(context.membership, permission)) {
+        context.response.status = 403;
+        await context.render("errors/403.eta");
+        return;
+      }
+
+      await next();
+    });
+  };
+};
+
+export { requireLogin, requirePermission, requireUser };
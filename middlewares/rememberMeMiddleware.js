@@ -0,0 +1,22 @@
+import { config } from "../config/config.js";
+
+// oak_sessions sets the session cookie without an expiry, so it is gone
+// once the browser closes. For "remember me" sessions the cookie is
+// re-issued with a lifetime. The login response itself still carries the
+// plain cookie, as the session id is rotated after this middleware runs;
+// the redirect that follows the login fixes that.
+const rememberMeMiddleware = async (context, next) => {
+  const session = context.state.session;
+
+  if (session.has("rememberMe")) {
+    await context.cookies.set("session", session.sid, {
+      maxAge: config.rememberMeDays * 24 * 60 * 60,
+      sameSite: "lax",
+      overwrite: true,
+    });
+  }
+
+  await next();
+};
+
+export { rememberMeMiddleware };
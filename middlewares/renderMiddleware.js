@@ -1,4 +1,5 @@
 import { configure, renderFile } from "../deps.js";
+import { hasPermission } from "../utils/permissions.js";
 
 configure({
   views: `${Deno.cwd()}/views/`,
@@ -12,7 +13,12 @@ const renderMiddleware = async (context, next) => {
 
     if (context.user) {
       data.user = context.user;
+      data.membership = context.membership;
+      data.memberships = context.memberships;
     }
+    data.can = (permission) => hasPermission(context.membership, permission);
+    data.csrfToken = context.csrfToken;
+    data.requestId = context.requestId;
 
     context.response.headers.set("Content-Type", "text/html; charset=utf-8");
     context.response.body = await renderFile(file, data);
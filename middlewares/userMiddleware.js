@@ -1,14 +1,43 @@
+import * as sessionService from "../services/sessionService.js";
 import * as userService from "../services/userService.js";
 
+// Everything a user sees and does happens in the association they last
+// switched to, which defaults to the first one they belong to.
+const loadMembership = async (context, userId) => {
+  const memberships = await userService.listMemberships(userId);
+  const associationId = await context.state.session.get("associationId");
+
+  context.memberships = memberships;
+  context.membership =
+    memberships.find((membership) =>
+      membership.association_id === associationId
+    ) ?? memberships[0];
+};
+
 const userMiddleware = async (context, next) => {
-  const user = await context.state.session.get("user");
+  const userId = await context.state.session.get("userId");
+  const sessionToken = await context.state.session.get("sessionToken");
+
+  if (userId && sessionToken) {
+    const sessions = await sessionService.findActiveSession(sessionToken);
+
+    const userFromDatabase = sessions.length === 1 &&
+        sessions[0].user_id === userId
+      ? await userService.findUserById(userId)
+      : [];
 
-  if (user) {
-    const userFromDatabase = await userService.findUserByEmail(user.email);
-    context.user = userFromDatabase[0];
+    if (userFromDatabase.length === 1) {
+      context.user = userFromDatabase[0];
+      context.sessionToken = sessionToken;
+      await sessionService.touchSession(sessions[0].id);
+      await loadMembership(context, userId);
+    } else {
+      await context.state.session.set("userId", null);
+      await context.state.session.set("sessionToken", null);
+    }
   }
 
   await next();
 };
 
-export { userMiddleware };
\ No newline at end of file
+export { userMiddleware };
@@ -1,7 +1,11 @@
 import * as choreService from "../../services/choreService.js";
 
-const listAvailableChores = async ({ response }) => {
-  const chores = await choreService.listAvailableChores();
+// Lists the chores of the caller's current association, so it is only
+// available to logged-in members.
+const listAvailableChores = async ({ membership, response }) => {
+  const chores = await choreService.listAvailableChores(
+    membership.association_id,
+  );
 
   for (let i = 0; i < chores.length; i++) {
     delete chores[i].id;
@@ -0,0 +1,316 @@
+import * as choreService from "../../services/choreService.js";
+import * as coinService from "../../services/coinService.js";
+import * as invitationService from "../../services/invitationService.js";
+import * as passwordResetService from "../../services/passwordResetService.js";
+import * as roleService from "../../services/roleService.js";
+import * as userService from "../../services/userService.js";
+import { validasaur } from "../../deps.js";
+import { hasPermission, rolePermissions } from "../../utils/permissions.js";
+
+const roleValidationRules = {
+  role: [validasaur.required, validasaur.isIn(Object.keys(rolePermissions))],
+};
+
+const memberValidationRules = {
+  email: [validasaur.required, validasaur.isEmail],
+};
+
+const adjustmentValidationRules = {
+  // At most 999999 either way, so that balances stay within their integer
+  // columns.
+  amount: [validasaur.required, validasaur.match(/^-?[1-9][0-9]{0,5}$/)],
+  reason: [validasaur.required, validasaur.minLength(1)],
+};
+
+const adminErrors = {
+  not_found: { status: 404, message: "This does not exist." },
+  self: {
+    status: 409,
+    message: "You cannot change the role or status of your own account.",
+  },
+  not_assigned: { status: 409, message: "Nobody has claimed this chore." },
+  completed: {
+    status: 409,
+    message: "This chore has already been completed and paid out.",
+  },
+  insufficient_balance: {
+    status: 409,
+    message: "The user does not have that many chorecoins.",
+  },
+};
+
+const getFormParams = async (request) => {
+  const body = request.body({ type: "form" });
+  return await body.value;
+};
+
+const showAdmin = ({ membership, render, response }) => {
+  if (
+    !hasPermission(membership, "users:manage") &&
+    !hasPermission(membership, "chores:moderate")
+  ) {
+    response.status = 403;
+    render("errors/403.eta");
+    return;
+  }
+
+  render("admin/index.eta");
+};
+
+// Only members of the current association are listed and can be managed.
+const renderUsers = async ({ membership, render, request }, data = {}) => {
+  const search = request.url.searchParams.get("q") ?? "";
+  render("admin/users.eta", {
+    ...data,
+    search,
+    users: await userService.listUsers(membership.association_id, search),
+  });
+};
+
+const listUsers = async (context) => {
+  await renderUsers(context);
+};
+
+const renderUsersError = async (context, error, data = {}) => {
+  context.response.status = error.status;
+  await renderUsers(context, { ...data, errors: [error.message] });
+};
+
+// Invites the address to the current association. The response is the
+// same whether or not anyone has registered with it.
+const inviteMember = async (context) => {
+  const { membership, request, response, user } = context;
+  const memberData = { email: (await getFormParams(request)).get("email") };
+
+  const [passes, errors] = await validasaur.validate(
+    memberData,
+    memberValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    await renderUsers(context, { ...memberData, validationErrors: errors });
+    return;
+  }
+
+  await invitationService.inviteMember(
+    membership.association_id,
+    user,
+    memberData.email,
+  );
+
+  await renderUsers(context, {
+    messages: [`An invitation was sent to ${memberData.email}.`],
+  });
+};
+
+const renderUser = async (context, data = {}) => {
+  const { membership, params, render } = context;
+  const associationId = membership.association_id;
+  const member = await userService.findMember(associationId, params.id);
+
+  if (member.length === 0) {
+    await renderUsersError(context, adminErrors.not_found);
+    return;
+  }
+
+  render("admin/user.eta", {
+    ...data,
+    account: member[0],
+    roles: await roleService.listRoles(associationId),
+  });
+};
+
+const renderUserError = async (context, error, data = {}) => {
+  context.response.status = error.status;
+  await renderUser(context, { ...data, errors: [error.message] });
+};
+
+const showUser = async (context) => {
+  await renderUser(context);
+};
+
+const changeRole = async (context) => {
+  const { membership, params, request, response, user } = context;
+  const roleData = { role: (await getFormParams(request)).get("role") };
+
+  const [passes, errors] = await validasaur.validate(
+    roleData,
+    roleValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    await renderUser(context, { validationErrors: errors });
+    return;
+  }
+
+  if (Number(params.id) === user.id) {
+    await renderUserError(context, adminErrors.self);
+    return;
+  }
+
+  await userService.setMemberRole(
+    membership.association_id,
+    params.id,
+    roleData.role,
+  );
+
+  response.redirect(`/admin/users/${params.id}`);
+};
+
+// Deactivation only ends the membership in the current association. The
+// user can still log in and use their other associations.
+const deactivateUser = async (context) => {
+  const { membership, params, response, user } = context;
+
+  if (Number(params.id) === user.id) {
+    await renderUserError(context, adminErrors.self);
+    return;
+  }
+
+  await userService.deactivateMembership(membership.association_id, params.id);
+
+  response.redirect(`/admin/users/${params.id}`);
+};
+
+const reactivateUser = async ({ membership, params, response }) => {
+  await userService.reactivateMembership(membership.association_id, params.id);
+
+  response.redirect(`/admin/users/${params.id}`);
+};
+
+// Sends the user a reset link. Their sessions end once they choose the new
+// password; the account is shared with other associations, so they are not
+// ended here.
+const resetPassword = async (context) => {
+  const { membership, params } = context;
+  const member = await userService.findMember(
+    membership.association_id,
+    params.id,
+  );
+
+  if (member.length === 0) {
+    await renderUser(context);
+    return;
+  }
+
+  const account = member[0];
+  await passwordResetService.sendResetEmail(account);
+
+  await renderUser(context, {
+    messages: [`A password reset link was sent to ${account.email}.`],
+  });
+};
+
+const adjustBalance = async (context) => {
+  const { membership, params, request, response, user } = context;
+  const formParams = await getFormParams(request);
+  const adjustmentData = {
+    amount: formParams.get("amount"),
+    reason: formParams.get("reason"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    adjustmentData,
+    adjustmentValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    await renderUser(context, {
+      ...adjustmentData,
+      validationErrors: errors,
+    });
+    return;
+  }
+
+  const adjustmentError = await coinService.adjustBalance(
+    membership.association_id,
+    Number(params.id),
+    Number(adjustmentData.amount),
+    adjustmentData.reason,
+    user.id,
+  );
+
+  if (adjustmentError) {
+    await renderUserError(
+      context,
+      adminErrors[adjustmentError],
+      adjustmentData,
+    );
+    return;
+  }
+
+  response.redirect(`/admin/users/${params.id}`);
+};
+
+const renderChores = async ({ membership, render, request }, data = {}) => {
+  const search = request.url.searchParams.get("q") ?? "";
+  render("admin/chores.eta", {
+    ...data,
+    search,
+    chores: await choreService.listAllChores(
+      membership.association_id,
+      search,
+    ),
+  });
+};
+
+const renderChoreError = async (context, error) => {
+  context.response.status = error.status;
+  await renderChores(context, { errors: [error.message] });
+};
+
+const listChores = async (context) => {
+  await renderChores(context);
+};
+
+const unassignChore = async (context) => {
+  const { membership, params, response, user } = context;
+  const unassignError = await choreService.unassignChore(
+    membership.association_id,
+    params.id,
+    user.id,
+  );
+
+  if (unassignError) {
+    await renderChoreError(context, adminErrors[unassignError]);
+    return;
+  }
+
+  response.redirect("/admin/chores");
+};
+
+const listRoles = async ({ membership, render }) => {
+  render("admin/roles.eta", {
+    roles: await roleService.listRoles(membership.association_id),
+  });
+};
+
+const updateRole = async ({ membership, params, request, response }) => {
+  const formParams = await getFormParams(request);
+  await roleService.setRequiresTwoFactor(
+    membership.association_id,
+    params.name,
+    formParams.get("requires_two_factor") === "true",
+  );
+
+  response.redirect("/admin/roles");
+};
+
+export {
+  adjustBalance,
+  changeRole,
+  deactivateUser,
+  inviteMember,
+  listChores,
+  listRoles,
+  listUsers,
+  reactivateUser,
+  resetPassword,
+  showAdmin,
+  showUser,
+  unassignChore,
+  updateRole,
+};
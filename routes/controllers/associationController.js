@@ -0,0 +1,60 @@
+import * as invitationService from "../../services/invitationService.js";
+
+// Makes another of the user's associations the current one. Ignores
+// associations the user is not an active member of.
+const switchAssociation = async ({ memberships, request, response, state }) => {
+  const body = request.body({ type: "form" });
+  const params = await body.value;
+  const associationId = Number(params.get("association_id"));
+
+  if (
+    memberships.some((membership) =>
+      membership.association_id === associationId
+    )
+  ) {
+    await state.session.set("associationId", associationId);
+  }
+
+  response.redirect("/chores");
+};
+
+const showInvitations = async ({ render, user }) => {
+  render("invitations.eta", {
+    invitations: await invitationService.listInvitations(user),
+  });
+};
+
+// Switches to the association joined, as that is what the user wants to
+// use next.
+const acceptInvitation = async (context) => {
+  const { params, render, response, state, user } = context;
+  const associationId = await invitationService.acceptInvitation(
+    Number(params.id),
+    user,
+  );
+
+  if (!associationId) {
+    response.status = 404;
+    render("invitations.eta", {
+      invitations: await invitationService.listInvitations(user),
+      errors: ["There is no such invitation."],
+    });
+    return;
+  }
+
+  await state.session.set("associationId", associationId);
+  response.redirect("/chores");
+};
+
+const declineInvitation = async ({ params, response, user }) => {
+  await invitationService.declineInvitation(Number(params.id), user);
+
+  response.redirect("/associations/invitations");
+};
+
+export {
+  acceptInvitation,
+  declineInvitation,
+  showInvitations,
+  switchAssociation,
+};
@@ -1,13 +1,105 @@
 import * as choreService from "../../services/choreService.js";
+import * as notificationService from "../../services/notificationService.js";
+import * as scheduleService from "../../services/scheduleService.js";
 import { validasaur } from "../../deps.js";
+import { config } from "../../config/config.js";
 
 const choreValidationRules = {
   title: [validasaur.required, validasaur.minLength(1)],
   description: [validasaur.required, validasaur.minLength(1)],
-  chorecoins: [validasaur.required, validasaur.isNumeric],
+  // At most 999999, so that balances stay within their integer columns.
+  chorecoins: [
+    validasaur.required,
+    validasaur.isNumeric,
+    validasaur.match(/^[0-9]{1,6}$/),
+  ],
   due_date: [validasaur.required, validasaur.isDate],
 };
 
+const newChoreValidationRules = {
+  ...choreValidationRules,
+  repeat: [
+    validasaur.required,
+    validasaur.isIn(["none", "daily", "weekly", "monthly", "yearly"]),
+  ],
+  // At most 999, which keeps the offsets of occurrences within range.
+  repeat_every: [validasaur.required, validasaur.match(/^[1-9][0-9]{0,2}$/)],
+  repeat_until: [validasaur.isDate],
+  scope: [validasaur.isIn(["association", "building", "staircase"])],
+};
+
+const choreErrors = {
+  not_found: { status: 404, message: "This chore does not exist." },
+  not_creator: {
+    status: 403,
+    message: "Only the person who posted this chore can do that.",
+  },
+  cancelled: { status: 409, message: "This chore has been cancelled." },
+  own_chore: {
+    status: 403,
+    message: "You cannot claim a chore you posted yourself.",
+  },
+  expired: { status: 409, message: "This chore is already past its due date." },
+  past_due_date: {
+    status: 400,
+    message: "The due date of a chore cannot be moved into the past.",
+  },
+  taken: { status: 409, message: "Someone has already claimed this chore." },
+  claimed: {
+    status: 409,
+    message: "This chore has already been claimed and can no longer be edited.",
+  },
+  not_assigned: { status: 403, message: "You have not claimed this chore." },
+  already_submitted: {
+    status: 409,
+    message: "This chore is already waiting for review.",
+  },
+  already_completed: {
+    status: 409,
+    message: "You have already completed this chore.",
+  },
+  not_pending: {
+    status: 409,
+    message: "This chore is not waiting for review.",
+  },
+  completed: {
+    status: 409,
+    message: "This chore has already been completed and paid out.",
+  },
+  unverified: {
+    status: 403,
+    message: "Verify your email address before claiming chores or posting " +
+      "chores with a reward.",
+  },
+  insufficient_balance: {
+    status: 409,
+    message: "You do not have enough chorecoins available for that.",
+  },
+};
+
+const scheduleErrors = {
+  not_found: { status: 404, message: "This schedule does not exist." },
+  not_creator: {
+    status: 403,
+    message: "Only the person who set up this schedule can stop it.",
+  },
+  cancelled: {
+    status: 409,
+    message: "This schedule has already been stopped.",
+  },
+};
+
+// Ids are kept within the range of an integer column.
+const isId = (value) => /^[1-9][0-9]{0,8}$/.test(value);
+
+const rejectionValidationRules = {
+  reason: [validasaur.required, validasaur.minLength(1)],
+};
+
+const removalValidationRules = {
+  reason: [validasaur.required, validasaur.minLength(1)],
+};
+
 const getChoreData = async (request) => {
   const body = request.body({ type: "form" });
   const params = await body.value;
@@ -16,51 +108,526 @@ const getChoreData = async (request) => {
     description: params.get("description"),
     chorecoins: params.get("chorecoins"),
     due_date: params.get("due_date"),
+    repeat: params.get("repeat"),
+    repeat_every: params.get("repeat_every"),
+    repeat_until: params.get("repeat_until"),
+    scope: params.get("scope") ?? "association",
+  };
+};
+
+// Turns the scope chosen on the form into the user's own building or
+// staircase in the current association.
+const resolveScope = (membership, scope) => {
+  if (scope === "building") {
+    return { buildingId: membership.building_id };
+  }
+
+  if (scope === "staircase") {
+    return {
+      buildingId: membership.building_id,
+      staircaseId: membership.staircase_id,
+    };
+  }
+
+  return {};
+};
+
+// Available chores are limited to the user's own building unless showAll
+// is set.
+const getChoreListData = async (user, membership, showAll = false) => {
+  const associationId = membership.association_id;
+  return {
+    notifications: await notificationService.listUnreadNotifications(
+      associationId,
+      user.id,
+    ),
+    availableChores: showAll
+      ? await choreService.listAvailableChores(associationId)
+      : await choreService.listAvailableChores(
+        associationId,
+        membership.building_id,
+        membership.staircase_id,
+      ),
+    showAll,
+    claimedChores: await choreService.listUserChores(associationId, user.id),
+    householdChores: await choreService.listHouseholdChores(
+      associationId,
+      user.id,
+    ),
+    createdChores: await choreService.listCreatedChores(
+      associationId,
+      user.id,
+    ),
+    pendingReviews: await choreService.listPendingReviews(
+      associationId,
+      user.id,
+    ),
+    releasePenaltyCoins: config.releasePenaltyCoins,
+    releasePenaltyWindowHours: config.releasePenaltyWindowHours,
   };
 };
 
-const addChore = async ({ request, response, render, user }) => {
+const renderChoreError = async (
+  { membership, render, response, user },
+  error,
+) => {
+  response.status = error.status;
+  render("chores.eta", {
+    ...await getChoreListData(user, membership),
+    errors: [error.message],
+  });
+};
+
+const addChore = async (context) => {
+  const { membership, request, response, render, user } = context;
   const choreData = await getChoreData(request);
 
   const [passes, errors] = await validasaur.validate(
     choreData,
-    choreValidationRules,
+    newChoreValidationRules,
   );
 
   if (!passes) {
-    console.log(errors);
+    response.status = 400;
     choreData.validationErrors = errors;
-    render("chores.eta", choreData);
+    render("chores.eta", {
+      ...await getChoreListData(user, membership),
+      ...choreData,
+    });
+    return;
+  }
+
+  if (Number(choreData.chorecoins) > 0 && !user.email_verified_at) {
+    await renderChoreError(context, choreErrors.unverified);
+    return;
+  }
+
+  if (choreData.scope !== "association" && !membership.unit_id) {
+    response.status = 400;
+    choreData.validationErrors = {
+      scope: {
+        unit: "Choose your unit on your profile page to post chores for " +
+          "your building or staircase.",
+      },
+    };
+    render("chores.eta", {
+      ...await getChoreListData(user, membership),
+      ...choreData,
+    });
+    return;
+  }
+
+  const today = new Date().toISOString().substring(0, 10);
+  if (choreData.repeat !== "none" && choreData.due_date < today) {
+    response.status = 400;
+    choreData.validationErrors = {
+      due_date: { past: "A repeating chore cannot start in the past." },
+    };
+    render("chores.eta", {
+      ...await getChoreListData(user, membership),
+      ...choreData,
+    });
+    return;
+  }
+
+  if (
+    choreData.repeat !== "none" && choreData.repeat_until &&
+    choreData.repeat_until < choreData.due_date
+  ) {
+    response.status = 400;
+    choreData.validationErrors = {
+      repeat_until: {
+        before_start: "A repeating chore cannot end before it starts.",
+      },
+    };
+    render("chores.eta", {
+      ...await getChoreListData(user, membership),
+      ...choreData,
+    });
+    return;
+  }
+
+  const scope = resolveScope(membership, choreData.scope);
+  let added;
+  if (choreData.repeat === "none") {
+    added = await choreService.addChore(
+      membership.association_id,
+      user.id,
+      choreData.title,
+      choreData.description,
+      Number(choreData.chorecoins),
+      choreData.due_date,
+      scope,
+    );
   } else {
-    await choreService.addChore(
+    added = await scheduleService.addSchedule(
+      membership.association_id,
       user.id,
       choreData.title,
       choreData.description,
-      choreData.chorecoins,
+      Number(choreData.chorecoins),
+      choreData.repeat,
+      Number(choreData.repeat_every),
       choreData.due_date,
+      choreData.repeat_until ? choreData.repeat_until : null,
+      scope,
     );
+  }
+
+  if (!added) {
+    response.status = 409;
+    choreData.validationErrors = {
+      chorecoins: {
+        balance: `You only have ${membership.chorecoins} chorecoins available.`,
+      },
+    };
+    render("chores.eta", {
+      ...await getChoreListData(user, membership),
+      ...choreData,
+    });
+    return;
+  }
+
+  response.redirect("/chores");
+};
+
+const showChore = async (context) => {
+  const { membership, params, render } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const associationId = membership.association_id;
+  const choreRes = await choreService.findChoreDetails(
+    associationId,
+    params.id,
+  );
 
-    response.redirect("/chores");
+  if (choreRes.length === 0) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
   }
+
+  render("chore.eta", {
+    chore: choreRes[0],
+    history: await choreService.listChoreHistory(
+      associationId,
+      params.id,
+    ),
+  });
 };
 
-const claimChore = async ({ params, response, user }) => {
-  await choreService.claimChore(params.id, user.id);
+const showEditForm = async (context) => {
+  const { membership, params, render, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const choreRes = await choreService.findChoreById(
+    membership.association_id,
+    params.id,
+  );
+
+  if (choreRes.length === 0) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const chore = choreRes[0];
+  if (chore.user_id !== user.id) {
+    await renderChoreError(context, choreErrors.not_creator);
+    return;
+  }
+
+  render("editChore.eta", {
+    id: chore.id,
+    title: chore.title,
+    description: chore.description,
+    chorecoins: chore.chorecoins,
+    due_date: chore.due_date
+      ? chore.due_date.toISOString().substring(0, 10)
+      : "",
+  });
+};
+
+const editChore = async (context) => {
+  const { membership, params, request, response, render, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const choreData = await getChoreData(request);
+
+  const [passes, errors] = await validasaur.validate(
+    choreData,
+    choreValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    choreData.id = params.id;
+    choreData.validationErrors = errors;
+    render("editChore.eta", choreData);
+    return;
+  }
+
+  if (Number(choreData.chorecoins) > 0 && !user.email_verified_at) {
+    await renderChoreError(context, choreErrors.unverified);
+    return;
+  }
+
+  const editError = await choreService.updateChore(
+    membership.association_id,
+    params.id,
+    user.id,
+    choreData.title,
+    choreData.description,
+    Number(choreData.chorecoins),
+    choreData.due_date,
+  );
+
+  if (editError) {
+    await renderChoreError(context, choreErrors[editError]);
+    return;
+  }
 
   response.redirect("/chores");
 };
 
-const completeChore = async ({ params, response, user }) => {
-  await choreService.completeChore(params.id, user.id);
+const cancelChore = async (context) => {
+  const { membership, params, response, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const cancelError = await choreService.cancelChore(
+    membership.association_id,
+    params.id,
+    user.id,
+  );
+
+  if (cancelError) {
+    await renderChoreError(context, choreErrors[cancelError]);
+    return;
+  }
 
   response.redirect("/chores");
 };
 
-const listChores = async ({ render, user }) => {
-  render("chores.eta", {
-    availableChores: await choreService.listAvailableChores(),
-    claimedChores: await choreService.listUserChores(user.id),
-  });
+// Stops a repeating chore from creating further chores. The chores it has
+// already created stay open.
+const cancelSchedule = async (context) => {
+  const { membership, params, response, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, scheduleErrors.not_found);
+    return;
+  }
+
+  const cancelError = await scheduleService.cancelSchedule(
+    membership.association_id,
+    Number(params.id),
+    user.id,
+  );
+
+  if (cancelError) {
+    await renderChoreError(context, scheduleErrors[cancelError]);
+    return;
+  }
+
+  response.redirect("/chores");
+};
+
+const claimChore = async (context) => {
+  const { membership, params, request, response, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  if (!user.email_verified_at) {
+    await renderChoreError(context, choreErrors.unverified);
+    return;
+  }
+
+  const body = request.body({ type: "form" });
+  const formParams = await body.value;
+  const claimError = await choreService.claimChore(
+    membership.association_id,
+    params.id,
+    user.id,
+    formParams.get("for_household") === "true",
+  );
+
+  if (claimError) {
+    await renderChoreError(context, choreErrors[claimError]);
+    return;
+  }
+
+  response.redirect("/chores");
+};
+
+const releaseChore = async (context) => {
+  const { membership, params, response, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const releaseError = await choreService.releaseChore(
+    membership.association_id,
+    params.id,
+    user.id,
+  );
+
+  if (releaseError) {
+    await renderChoreError(context, choreErrors[releaseError]);
+    return;
+  }
+
+  response.redirect("/chores");
+};
+
+const completeChore = async (context) => {
+  const { membership, params, response, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const completeError = await choreService.completeChore(
+    membership.association_id,
+    params.id,
+    user.id,
+  );
+
+  if (completeError) {
+    await renderChoreError(context, choreErrors[completeError]);
+    return;
+  }
+
+  response.redirect("/chores");
 };
 
-export { addChore, claimChore, completeChore, listChores };
\ No newline at end of file
+const approveChore = async (context) => {
+  const { membership, params, response, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const reviewError = await choreService.approveChore(
+    membership.association_id,
+    params.id,
+    user.id,
+  );
+
+  if (reviewError) {
+    await renderChoreError(context, choreErrors[reviewError]);
+    return;
+  }
+
+  response.redirect("/chores");
+};
+
+const rejectChore = async (context) => {
+  const { membership, params, request, response, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const body = request.body({ type: "form" });
+  const formParams = await body.value;
+  const rejectionData = { reason: formParams.get("reason") };
+
+  const [passes] = await validasaur.validate(
+    rejectionData,
+    rejectionValidationRules,
+  );
+
+  if (!passes) {
+    await renderChoreError(context, {
+      status: 400,
+      message: "Please tell the claimant why the chore was rejected.",
+    });
+    return;
+  }
+
+  const reviewError = await choreService.rejectChore(
+    membership.association_id,
+    params.id,
+    user.id,
+    rejectionData.reason,
+  );
+
+  if (reviewError) {
+    await renderChoreError(context, choreErrors[reviewError]);
+    return;
+  }
+
+  response.redirect("/chores");
+};
+
+const removeChore = async (context) => {
+  const { membership, params, request, response, user } = context;
+  if (!isId(params.id)) {
+    await renderChoreError(context, choreErrors.not_found);
+    return;
+  }
+
+  const body = request.body({ type: "form" });
+  const formParams = await body.value;
+  const removalData = { reason: formParams.get("reason") };
+
+  const [passes] = await validasaur.validate(
+    removalData,
+    removalValidationRules,
+  );
+
+  if (!passes) {
+    await renderChoreError(context, {
+      status: 400,
+      message: "Please give a reason for removing the chore.",
+    });
+    return;
+  }
+
+  const removeError = await choreService.removeChore(
+    membership.association_id,
+    params.id,
+    user.id,
+    removalData.reason,
+  );
+
+  if (removeError) {
+    await renderChoreError(context, choreErrors[removeError]);
+    return;
+  }
+
+  response.redirect(`/chores/${params.id}`);
+};
+
+const listChores = async ({ membership, render, request, user }) => {
+  const showAll = request.url.searchParams.get("show") === "all";
+  render("chores.eta", await getChoreListData(user, membership, showAll));
+};
+
+export {
+  addChore,
+  approveChore,
+  cancelChore,
+  cancelSchedule,
+  claimChore,
+  completeChore,
+  editChore,
+  listChores,
+  rejectChore,
+  releaseChore,
+  removeChore,
+  showChore,
+  showEditForm,
+};
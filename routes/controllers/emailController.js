@@ -0,0 +1,98 @@
+import { bcrypt, validasaur } from "../../deps.js";
+import * as emailVerificationService from "../../services/emailVerificationService.js";
+import * as userService from "../../services/userService.js";
+
+const emailChangeValidationRules = {
+  email: [validasaur.required, validasaur.isEmail],
+  password: [validasaur.required],
+};
+
+const verificationErrors = {
+  invalid: "This verification link is not valid.",
+  expired: "This verification link has expired.",
+  email_taken: "This email address is already registered to another account.",
+};
+
+const showEmailForm = ({ render }) => {
+  render("changeEmail.eta");
+};
+
+// The address is only switched once the user follows the link sent to the
+// new one.
+const requestEmailChange = async ({ request, response, render, user }) => {
+  const body = request.body({ type: "form" });
+  const params = await body.value;
+  const emailData = {
+    email: params.get("email"),
+    password: params.get("password"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    emailData,
+    emailChangeValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    render("changeEmail.eta", {
+      email: emailData.email,
+      validationErrors: errors,
+    });
+    return;
+  }
+
+  if (!await bcrypt.compare(emailData.password, user.password)) {
+    response.status = 403;
+    render("changeEmail.eta", {
+      email: emailData.email,
+      validationErrors: { password: { match: "the password is incorrect" } },
+    });
+    return;
+  }
+
+  const existingUsers = await userService.findUserByEmail(emailData.email);
+  if (existingUsers.length > 0) {
+    response.status = 409;
+    render("changeEmail.eta", {
+      email: emailData.email,
+      validationErrors: {
+        email: { unique: "this email address is already registered" },
+      },
+    });
+    return;
+  }
+
+  await emailVerificationService.sendVerificationEmail(user, emailData.email);
+
+  render("changeEmail.eta", { sentTo: emailData.email });
+};
+
+const resendVerification = async ({ response, user }) => {
+  if (!user.email_verified_at) {
+    await emailVerificationService.sendVerificationEmail(user);
+  }
+
+  response.redirect("/chores");
+};
+
+const verifyEmail = async ({ request, response, render }) => {
+  const params = request.url.searchParams;
+  const verificationError = await emailVerificationService.verifyEmail(
+    params.get("user"),
+    params.get("email"),
+    params.get("expires"),
+    params.get("signature"),
+  );
+
+  if (verificationError) {
+    response.status = verificationError === "email_taken" ? 409 : 400;
+    render("verifyEmail.eta", {
+      error: verificationErrors[verificationError],
+    });
+    return;
+  }
+
+  render("verifyEmail.eta", { email: params.get("email") });
+};
+
+export { requestEmailChange, resendVerification, showEmailForm, verifyEmail };
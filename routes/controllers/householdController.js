@@ -0,0 +1,197 @@
+import * as householdService from "../../services/householdService.js";
+import * as statisticsService from "../../services/statisticsService.js";
+import { validasaur } from "../../deps.js";
+
+const householdValidationRules = {
+  name: [validasaur.required, validasaur.minLength(1)],
+};
+
+// Ids are kept within the range of an integer column.
+const invitationValidationRules = {
+  user_id: [validasaur.required, validasaur.match(/^[1-9][0-9]{0,8}$/)],
+};
+
+const householdErrors = {
+  no_unit: {
+    status: 400,
+    message: "Choose your unit on your profile page before starting a " +
+      "household.",
+  },
+  in_household: {
+    status: 409,
+    message: "That member already belongs to a household.",
+  },
+  exists: {
+    status: 409,
+    message: "Your unit already has a household. Ask one of its members " +
+      "to invite you.",
+  },
+  escrowed: {
+    status: 409,
+    message: "Chores you posted still hold coins in escrow. Wait until " +
+      "they are paid out, cancelled or refunded.",
+  },
+  not_in_household: {
+    status: 403,
+    message: "You do not belong to a household.",
+  },
+  not_found: { status: 404, message: "There is no such member." },
+  other_unit: {
+    status: 409,
+    message: "Only members living in the same unit can share a household.",
+  },
+  not_invited: {
+    status: 409,
+    message: "You have no invitation to accept.",
+  },
+};
+
+const getFormParams = async (request) => {
+  const body = request.body({ type: "form" });
+  return await body.value;
+};
+
+// Shows the user's household, or a pending invitation and the form to
+// start one.
+const renderHousehold = async ({ membership, render }, data = {}) => {
+  const householdId = membership.household_id;
+
+  if (!householdId) {
+    const invitation = membership.household_invitation_id
+      ? await householdService.findHouseholdById(
+        membership.household_invitation_id,
+      )
+      : [];
+
+    render("household.eta", {
+      ...data,
+      invitation: invitation.length > 0 ? invitation[0] : null,
+    });
+    return;
+  }
+
+  const household = await householdService.findHouseholdById(householdId);
+  render("household.eta", {
+    ...data,
+    household: household[0],
+    members: await householdService.listHouseholdMembers(householdId),
+    invitableMembers: await householdService.listInvitableMembers(
+      householdId,
+    ),
+    statistics: await statisticsService.findHouseholdStatistics(householdId),
+  });
+};
+
+const renderHouseholdError = async (context, error) => {
+  context.response.status = error.status;
+  await renderHousehold(context, { errors: [error.message] });
+};
+
+const showHousehold = async (context) => {
+  await renderHousehold(context);
+};
+
+const createHousehold = async (context) => {
+  const { membership, request, response, user } = context;
+  const householdData = { name: (await getFormParams(request)).get("name") };
+
+  const [passes, errors] = await validasaur.validate(
+    householdData,
+    householdValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    await renderHousehold(context, { validationErrors: errors });
+    return;
+  }
+
+  const householdError = await householdService.createHousehold(
+    membership.association_id,
+    user.id,
+    householdData.name,
+  );
+
+  if (householdError) {
+    await renderHouseholdError(context, householdErrors[householdError]);
+    return;
+  }
+
+  response.redirect("/household");
+};
+
+const inviteMember = async (context) => {
+  const { membership, request, response, user } = context;
+  const invitationData = {
+    user_id: (await getFormParams(request)).get("user_id"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    invitationData,
+    invitationValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    await renderHousehold(context, { validationErrors: errors });
+    return;
+  }
+
+  const householdError = await householdService.inviteToHousehold(
+    membership.association_id,
+    user.id,
+    Number(invitationData.user_id),
+  );
+
+  if (householdError) {
+    await renderHouseholdError(context, householdErrors[householdError]);
+    return;
+  }
+
+  response.redirect("/household");
+};
+
+const acceptInvitation = async (context) => {
+  const { membership, response, user } = context;
+  const householdError = await householdService.acceptInvitation(
+    membership.association_id,
+    user.id,
+  );
+
+  if (householdError) {
+    await renderHouseholdError(context, householdErrors[householdError]);
+    return;
+  }
+
+  response.redirect("/household");
+};
+
+const declineInvitation = async ({ membership, response, user }) => {
+  await householdService.declineInvitation(membership.association_id, user.id);
+
+  response.redirect("/household");
+};
+
+const leaveHousehold = async (context) => {
+  const { membership, response, user } = context;
+  const householdError = await householdService.leaveHousehold(
+    membership.association_id,
+    user.id,
+  );
+
+  if (householdError) {
+    await renderHouseholdError(context, householdErrors[householdError]);
+    return;
+  }
+
+  response.redirect("/household");
+};
+
+export {
+  acceptInvitation,
+  createHousehold,
+  declineInvitation,
+  inviteMember,
+  leaveHousehold,
+  showHousehold,
+};
@@ -1,35 +1,190 @@
+import * as loginAttemptService from "../../services/loginAttemptService.js";
+import * as sessionService from "../../services/sessionService.js";
+import * as twoFactorService from "../../services/twoFactorService.js";
 import * as userService from "../../services/userService.js";
 import { bcrypt } from "../../deps.js";
+import { config } from "../../config/config.js";
 
-const processLogin = async ({ request, response, state }) => {
+// How long the second login step may take after the password was accepted.
+const TWO_FACTOR_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Compared against when the email address is unknown, so that the login
+// takes as long as for an existing account.
+const DUMMY_PASSWORD_HASH = await bcrypt.hash(crypto.randomUUID());
+
+const renderLoginForm = (render, data = {}) => {
+  render("login.eta", { ...data, rememberMeDays: config.rememberMeDays });
+};
+
+const formatDelay = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} seconds`;
+  }
+
+  return `${Math.ceil(seconds / 60)} minutes`;
+};
+
+const renderLoginDelay = ({ render, response }, email, delay) => {
+  response.status = 429;
+  response.headers.set("Retry-After", String(delay));
+  renderLoginForm(render, {
+    email,
+    errors: [
+      `Too many failed login attempts. Try again in ${formatDelay(delay)}.`,
+    ],
+  });
+};
+
+// The same message is shown for an unknown email address and a wrong
+// password, so that the form does not reveal who has an account.
+const processLogin = async ({ request, response, render, state }) => {
   const body = request.body({ type: "form" });
   const params = await body.value;
+  const email = params.get("email") ?? "";
 
-  const userFromDatabase = await userService.findUserByEmail(
-    params.get("email"),
-  );
-  if (userFromDatabase.length != 1) {
-    response.redirect("/auth/login");
+  const delay = await loginAttemptService.findLoginDelay(email, request.ip);
+  if (delay) {
+    renderLoginDelay({ render, response }, email, delay);
     return;
   }
 
-  const user = userFromDatabase[0];
+  const userFromDatabase = await userService.findUserByEmail(email);
+  const user = userFromDatabase.length === 1 ? userFromDatabase[0] : null;
   const passwordMatches = await bcrypt.compare(
-    params.get("password"),
-    user.password,
-  );
+    params.get("password") ?? "",
+    user ? user.password : DUMMY_PASSWORD_HASH,
+  ) && user !== null;
 
   if (!passwordMatches) {
-    response.redirect("/auth/login");
+    await loginAttemptService.recordLoginFailure(email, request.ip, user);
+    response.status = 401;
+    renderLoginForm(render, {
+      email,
+      errors: ["Invalid email or password."],
+    });
     return;
   }
 
-  await state.session.set("user", user);
+  // With two-factor authentication the user is only logged in once the
+  // second step succeeds.
+  if (user.totp_enabled_at) {
+    await state.session.set("twoFactorUserId", user.id);
+    await state.session.set("twoFactorStartedAt", Date.now());
+    await state.session.set(
+      "twoFactorRememberMe",
+      Boolean(params.get("remember_me")),
+    );
+    response.redirect("/auth/two-factor");
+    return;
+  }
+
+  await loginAttemptService.recordLoginSuccess(email, request.ip);
+  await startSession(
+    { request, response, state },
+    user,
+    Boolean(params.get("remember_me")),
+  );
+};
+
+const startSession = async ({ request, response, state }, user, rememberMe) => {
+  const sessionToken = await sessionService.createSession(
+    user.id,
+    request.headers.get("user-agent"),
+    request.ip,
+  );
+
+  await state.session.set("userId", user.id);
+  await state.session.set("sessionToken", sessionToken);
+  if (rememberMe) {
+    await state.session.set("rememberMe", true);
+  }
+  // Issue a new session id on login so that a planted one is not reused.
+  state.rotate_session_key = true;
   response.redirect("/chores");
 };
 
+const findPendingTwoFactorUser = async (state) => {
+  const userId = await state.session.get("twoFactorUserId");
+  const startedAt = await state.session.get("twoFactorStartedAt");
+
+  if (!userId || Date.now() - startedAt > TWO_FACTOR_TIMEOUT_MS) {
+    return null;
+  }
+
+  const userFromDatabase = await userService.findUserById(userId);
+  return userFromDatabase.length === 1 ? userFromDatabase[0] : null;
+};
+
+const clearPendingTwoFactor = async (state) => {
+  await state.session.set("twoFactorUserId", null);
+  await state.session.set("twoFactorStartedAt", null);
+  await state.session.set("twoFactorRememberMe", null);
+};
+
+const showTwoFactorForm = async ({ render, response, state }) => {
+  if (!await findPendingTwoFactorUser(state)) {
+    response.redirect("/auth/login");
+    return;
+  }
+
+  render("twoFactorLogin.eta");
+};
+
+// Failed codes count as failed logins, so they are throttled like
+// passwords.
+const processTwoFactor = async (context) => {
+  const { request, response, render, state } = context;
+  const user = await findPendingTwoFactorUser(state);
+
+  if (!user) {
+    await clearPendingTwoFactor(state);
+    response.redirect("/auth/login");
+    return;
+  }
+
+  const delay = await loginAttemptService.findLoginDelay(
+    user.email,
+    request.ip,
+  );
+  if (delay) {
+    await clearPendingTwoFactor(state);
+    renderLoginDelay(context, user.email, delay);
+    return;
+  }
+
+  const body = request.body({ type: "form" });
+  const params = await body.value;
+
+  if (!await twoFactorService.verifyLoginCode(user.id, params.get("code"))) {
+    await loginAttemptService.recordLoginFailure(user.email, request.ip, user);
+    response.status = 401;
+    render("twoFactorLogin.eta", { errors: ["Invalid code."] });
+    return;
+  }
+
+  const rememberMe = await state.session.get("twoFactorRememberMe");
+  await clearPendingTwoFactor(state);
+  await loginAttemptService.recordLoginSuccess(user.email, request.ip);
+  await startSession(context, user, rememberMe);
+};
+
+const logout = async ({ response, sessionToken, state }) => {
+  if (sessionToken) {
+    await sessionService.revokeSessionByToken(sessionToken);
+  }
+
+  await state.session.deleteSession();
+  response.redirect("/");
+};
+
 const showLoginForm = ({ render }) => {
-  render("login.eta");
+  renderLoginForm(render);
 };
 
-export { processLogin, showLoginForm };
\ No newline at end of file
+export {
+  logout,
+  processLogin,
+  processTwoFactor,
+  showLoginForm,
+  showTwoFactorForm,
+};
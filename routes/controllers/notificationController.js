@@ -0,0 +1,9 @@
+import * as notificationService from "../../services/notificationService.js";
+
+const markNotificationRead = async ({ params, response, user }) => {
+  await notificationService.markNotificationRead(params.id, user.id);
+
+  response.redirect("/chores");
+};
+
+export { markNotificationRead };
@@ -0,0 +1,91 @@
+import { bcrypt, validasaur } from "../../deps.js";
+import * as loginAttemptService from "../../services/loginAttemptService.js";
+import * as passwordResetService from "../../services/passwordResetService.js";
+import * as sessionService from "../../services/sessionService.js";
+import { logError } from "../../utils/logger.js";
+import { passwordRules, validationMessages } from "../../utils/validation.js";
+
+const resetValidationRules = {
+  password: passwordRules,
+};
+
+const showRequestForm = ({ render }) => {
+  render("forgotPassword.eta");
+};
+
+// Answers the same, and just as fast, whether or not the address is
+// registered, so that the form cannot be used to find out who has an
+// account. The email is sent in the background and failures to send it are
+// only logged.
+const requestReset = async ({ request, requestId, response, render }) => {
+  const body = request.body({ type: "form" });
+  const params = await body.value;
+  const email = params.get("email") ?? "";
+
+  const delay = await loginAttemptService.findResetDelay(email, request.ip);
+  if (delay) {
+    response.status = 429;
+    response.headers.set("Retry-After", String(delay));
+    render("forgotPassword.eta", {
+      errors: ["Too many reset requests. Try again later."],
+    });
+    return;
+  }
+
+  await loginAttemptService.recordResetRequest(email, request.ip);
+  passwordResetService.sendResetEmailTo(email).catch((e) => {
+    logError(e.message, { requestId, stack: e.stack });
+  });
+
+  render("forgotPassword.eta", { requested: true });
+};
+
+const showResetForm = async ({ params, render, response }) => {
+  const tokens = await passwordResetService.findValidResetToken(params.token);
+
+  if (tokens.length === 0) {
+    response.status = 404;
+    render("resetPassword.eta", { invalidToken: true });
+    return;
+  }
+
+  render("resetPassword.eta", { token: params.token });
+};
+
+const resetPassword = async ({ params, request, response, render }) => {
+  const body = request.body({ type: "form" });
+  const formParams = await body.value;
+  const resetData = { password: formParams.get("password") };
+
+  const [passes, errors] = await validasaur.validate(
+    resetData,
+    resetValidationRules,
+    { messages: validationMessages },
+  );
+
+  if (!passes) {
+    response.status = 400;
+    render("resetPassword.eta", {
+      token: params.token,
+      validationErrors: errors,
+    });
+    return;
+  }
+
+  const userId = await passwordResetService.resetPassword(
+    params.token,
+    await bcrypt.hash(resetData.password),
+  );
+
+  if (!userId) {
+    response.status = 404;
+    render("resetPassword.eta", { invalidToken: true });
+    return;
+  }
+
+  await sessionService.revokeUserSessions(userId);
+
+  response.redirect("/auth/login");
+};
+
+export { requestReset, resetPassword, showRequestForm, showResetForm };
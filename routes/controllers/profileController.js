@@ -0,0 +1,150 @@
+import { bcrypt, validasaur } from "../../deps.js";
+import * as propertyService from "../../services/propertyService.js";
+import * as sessionService from "../../services/sessionService.js";
+import * as statisticsService from "../../services/statisticsService.js";
+import * as userService from "../../services/userService.js";
+import { passwordRules, validationMessages } from "../../utils/validation.js";
+
+const detailsValidationRules = {
+  name: [validasaur.required, validasaur.minLength(1)],
+  unit_id: [validasaur.required, validasaur.match(/^[0-9]+$/)],
+};
+
+const passwordValidationRules = {
+  current_password: [validasaur.required],
+  password: passwordRules,
+};
+
+const getFormParams = async (request) => {
+  const body = request.body({ type: "form" });
+  return await body.value;
+};
+
+// The form fields default to the saved details, so that a rejected edit
+// can be shown with what the user typed. The unit, balance and statistics
+// are those of the current association, with the household's next to the
+// user's own.
+const renderProfile = async ({ membership, render, user }, data = {}) => {
+  const associationId = membership.association_id;
+  render("profile.eta", {
+    householdStatistics: membership.household_id
+      ? await statisticsService.findHouseholdStatistics(membership.household_id)
+      : null,
+    name: user.name,
+    unit_id: membership.unit_id ? String(membership.unit_id) : "",
+    ...data,
+    units: await propertyService.listUnits(associationId),
+    statistics: await statisticsService.findUserStatistics(
+      associationId,
+      user.id,
+    ),
+  });
+};
+
+const showProfile = async (context) => {
+  await renderProfile(context);
+};
+
+const updateProfile = async (context) => {
+  const { membership, request, response, user } = context;
+  const params = await getFormParams(request);
+  const detailsData = {
+    name: params.get("name"),
+    unit_id: params.get("unit_id"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    detailsData,
+    detailsValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    await renderProfile(context, {
+      ...detailsData,
+      validationErrors: errors,
+    });
+    return;
+  }
+
+  const units = await propertyService.findUnitById(detailsData.unit_id);
+  if (
+    units.length === 0 ||
+    units[0].association_id !== membership.association_id
+  ) {
+    response.status = 400;
+    await renderProfile(context, {
+      ...detailsData,
+      validationErrors: {
+        unit_id: { exists: "please choose your unit from the list" },
+      },
+    });
+    return;
+  }
+
+  if (membership.household_id && units[0].id !== membership.unit_id) {
+    response.status = 409;
+    await renderProfile(context, {
+      ...detailsData,
+      validationErrors: {
+        unit_id: { household: "leave your household before moving" },
+      },
+    });
+    return;
+  }
+
+  await userService.updateUserDetails(user.id, detailsData.name);
+  await userService.setMembershipUnit(
+    membership.association_id,
+    user.id,
+    Number(detailsData.unit_id),
+  );
+
+  response.redirect("/profile");
+};
+
+// Changing the password logs the user out everywhere except here.
+const changePassword = async (context) => {
+  const { request, response, sessionToken, user } = context;
+  const params = await getFormParams(request);
+  const passwordData = {
+    current_password: params.get("current_password"),
+    password: params.get("password"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    passwordData,
+    passwordValidationRules,
+    { messages: validationMessages },
+  );
+
+  if (!passes) {
+    response.status = 400;
+    await renderProfile(context, { validationErrors: errors });
+    return;
+  }
+
+  if (!await bcrypt.compare(passwordData.current_password, user.password)) {
+    response.status = 403;
+    await renderProfile(context, {
+      validationErrors: {
+        current_password: { match: "the current password is incorrect" },
+      },
+    });
+    return;
+  }
+
+  await userService.updatePassword(
+    user.id,
+    await bcrypt.hash(passwordData.password),
+  );
+  await sessionService.revokeUserSessions(user.id, sessionToken);
+
+  await renderProfile(context, {
+    messages: [
+      "Your password was changed and your other sessions were logged out.",
+    ],
+  });
+};
+
+export { changePassword, showProfile, updateProfile };
@@ -0,0 +1,153 @@
+import * as propertyService from "../../services/propertyService.js";
+import { validasaur } from "../../deps.js";
+
+const buildingValidationRules = {
+  name: [validasaur.required, validasaur.minLength(1)],
+  street_address: [validasaur.required, validasaur.minLength(1)],
+};
+
+const staircaseValidationRules = {
+  building_id: [validasaur.required, validasaur.match(/^[0-9]+$/)],
+  name: [validasaur.required, validasaur.minLength(1)],
+};
+
+const unitValidationRules = {
+  staircase_id: [validasaur.required, validasaur.match(/^[0-9]+$/)],
+  name: [validasaur.required, validasaur.minLength(1)],
+};
+
+const staircaseErrors = {
+  not_found: { status: 404, message: "There is no such building here." },
+  duplicate: {
+    status: 409,
+    message: "That building already has a staircase with this name.",
+  },
+};
+
+const unitErrors = {
+  not_found: { status: 404, message: "There is no such staircase here." },
+  duplicate: {
+    status: 409,
+    message: "That staircase already has a unit with this name.",
+  },
+};
+
+const getFormParams = async (request) => {
+  const body = request.body({ type: "form" });
+  return await body.value;
+};
+
+// Lists the properties of the current association only.
+const renderProperties = async (
+  { membership, render, response },
+  status,
+  data = {},
+) => {
+  const associationId = membership.association_id;
+  response.status = status;
+  render("admin/properties.eta", {
+    ...data,
+    buildings: await propertyService.listBuildings(associationId),
+    staircases: await propertyService.listStaircases(associationId),
+    units: await propertyService.listUnits(associationId),
+  });
+};
+
+const listProperties = async (context) => {
+  await renderProperties(context, 200);
+};
+
+const addBuilding = async (context) => {
+  const { membership, request, response } = context;
+  const params = await getFormParams(request);
+  const buildingData = {
+    name: params.get("name"),
+    street_address: params.get("street_address"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    buildingData,
+    buildingValidationRules,
+  );
+
+  if (!passes) {
+    await renderProperties(context, 400, { validationErrors: errors });
+    return;
+  }
+
+  await propertyService.addBuilding(
+    membership.association_id,
+    buildingData.name,
+    buildingData.street_address,
+  );
+
+  response.redirect("/admin/properties");
+};
+
+const addStaircase = async (context) => {
+  const { membership, request, response } = context;
+  const params = await getFormParams(request);
+  const staircaseData = {
+    building_id: params.get("building_id"),
+    name: params.get("name"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    staircaseData,
+    staircaseValidationRules,
+  );
+
+  if (!passes) {
+    await renderProperties(context, 400, { validationErrors: errors });
+    return;
+  }
+
+  const staircaseError = await propertyService.addStaircase(
+    membership.association_id,
+    Number(staircaseData.building_id),
+    staircaseData.name,
+  );
+
+  if (staircaseError) {
+    const { status, message } = staircaseErrors[staircaseError];
+    await renderProperties(context, status, { errors: [message] });
+    return;
+  }
+
+  response.redirect("/admin/properties");
+};
+
+const addUnit = async (context) => {
+  const { membership, request, response } = context;
+  const params = await getFormParams(request);
+  const unitData = {
+    staircase_id: params.get("staircase_id"),
+    name: params.get("name"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    unitData,
+    unitValidationRules,
+  );
+
+  if (!passes) {
+    await renderProperties(context, 400, { validationErrors: errors });
+    return;
+  }
+
+  const unitError = await propertyService.addUnit(
+    membership.association_id,
+    Number(unitData.staircase_id),
+    unitData.name,
+  );
+
+  if (unitError) {
+    const { status, message } = unitErrors[unitError];
+    await renderProperties(context, status, { errors: [message] });
+    return;
+  }
+
+  response.redirect("/admin/properties");
+};
+
+export { addBuilding, addStaircase, addUnit, listProperties };
@@ -1,17 +1,86 @@
-import { bcrypt } from "../../deps.js";
+import { bcrypt, validasaur } from "../../deps.js";
+import * as emailVerificationService from "../../services/emailVerificationService.js";
 import * as userService from "../../services/userService.js";
+import { logError } from "../../utils/logger.js";
+import { passwordRules, validationMessages } from "../../utils/validation.js";
 
-const registerUser = async ({ request, response }) => {
+const registrationValidationRules = {
+  name: [validasaur.required, validasaur.minLength(1)],
+  email: [validasaur.required, validasaur.isEmail],
+  password: passwordRules,
+};
+
+const getRegistrationData = async (request) => {
   const body = request.body({ type: "form" });
   const params = await body.value;
+  return {
+    name: params.get("name"),
+    email: params.get("email"),
+    password: params.get("password"),
+  };
+};
+
+const renderRegistrationErrors = (render, registrationData, errors) => {
+  render("register.eta", {
+    name: registrationData.name,
+    email: registrationData.email,
+    validationErrors: errors,
+  });
+};
 
-  await userService.addUser(
-    params.get("name"),
-    params.get("address"),
-    params.get("email"),
-    await bcrypt.hash(params.get("password")),
+const emailTakenErrors = {
+  email: { unique: "this email address is already registered" },
+};
+
+// Registration creates only the account. Users join an association by
+// accepting an invitation from its administrator.
+const registerUser = async ({ request, requestId, response, render }) => {
+  const registrationData = await getRegistrationData(request);
+
+  const [passes, errors] = await validasaur.validate(
+    registrationData,
+    registrationValidationRules,
+    { messages: validationMessages },
   );
 
+  if (!passes) {
+    response.status = 400;
+    renderRegistrationErrors(render, registrationData, errors);
+    return;
+  }
+
+  const existingUsers = await userService.findUserByEmail(
+    registrationData.email,
+  );
+  if (existingUsers.length > 0) {
+    response.status = 409;
+    renderRegistrationErrors(render, registrationData, emailTakenErrors);
+    return;
+  }
+
+  const added = await userService.addUser(
+    registrationData.name,
+    registrationData.email,
+    await bcrypt.hash(registrationData.password),
+  );
+
+  if (!added) {
+    response.status = 409;
+    renderRegistrationErrors(render, registrationData, emailTakenErrors);
+    return;
+  }
+
+  const userFromDatabase = await userService.findUserByEmail(
+    registrationData.email,
+  );
+  // The account exists either way, and the link can be sent again after
+  // logging in.
+  try {
+    await emailVerificationService.sendVerificationEmail(userFromDatabase[0]);
+  } catch (e) {
+    logError(e.message, { requestId, stack: e.stack });
+  }
+
   response.redirect("/auth/login");
 };
 
@@ -19,5 +88,4 @@ const showRegistrationForm = ({ render }) => {
   render("register.eta");
 };
 
-
-export { registerUser, showRegistrationForm };
\ No newline at end of file
+export { registerUser, showRegistrationForm };
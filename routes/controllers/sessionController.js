@@ -0,0 +1,16 @@
+import * as sessionService from "../../services/sessionService.js";
+
+const listSessions = async ({ render, sessionToken, user }) => {
+  render("sessions.eta", {
+    sessions: await sessionService.listActiveSessions(user.id),
+    currentSessionToken: sessionToken,
+  });
+};
+
+const revokeSession = async ({ params, response, user }) => {
+  await sessionService.revokeSession(params.id, user.id);
+
+  response.redirect("/sessions");
+};
+
+export { listSessions, revokeSession };
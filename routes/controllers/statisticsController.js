@@ -1,11 +1,13 @@
 import * as statisticsService from "../../services/statisticsService.js";
 
-const showFiveUsersWithMostCreatedChores = async ({ render }) => {
+const showFiveUsersWithMostCreatedChores = async ({ membership, render }) => {
   const usersWithMostCreatedChores = await statisticsService
-    .findFiveUsersWithMostCreatedChores();
+    .findFiveUsersWithMostCreatedChores(membership.association_id);
 
   render("statistics.eta", {
     mostCreatedChores: usersWithMostCreatedChores,
+    householdsWithMostChores: await statisticsService
+      .findFiveHouseholdsWithMostChores(membership.association_id),
   });
 };
 
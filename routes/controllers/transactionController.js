@@ -0,0 +1,89 @@
+import * as coinService from "../../services/coinService.js";
+import * as userService from "../../services/userService.js";
+import { validasaur } from "../../deps.js";
+import { hasPermission } from "../../utils/permissions.js";
+
+const adjustmentValidationRules = {
+  email: [validasaur.required, validasaur.isEmail],
+  // At most 999999 either way, so that balances stay within their integer
+  // columns.
+  amount: [validasaur.required, validasaur.match(/^-?[1-9][0-9]{0,5}$/)],
+  reason: [validasaur.required, validasaur.minLength(1)],
+};
+
+const adjustmentErrors = {
+  not_found: "There is no member with that email address.",
+  insufficient_balance: "The user does not have that many chorecoins.",
+};
+
+// Only those who may adjust balances see the whole ledger. Everyone else
+// sees their own wallet's rows.
+const renderTransactions = async (render, membership, data = {}) => {
+  const userId = hasPermission(membership, "coins:adjust")
+    ? null
+    : membership.user_id;
+
+  render("transactions.eta", {
+    ...data,
+    transactions: await coinService.listTransactions(
+      membership.association_id,
+      userId,
+    ),
+  });
+};
+
+const listTransactions = async ({ membership, render }) => {
+  await renderTransactions(render, membership);
+};
+
+const adjustBalance = async (
+  { membership, request, response, render, user },
+) => {
+  const body = request.body({ type: "form" });
+  const params = await body.value;
+  const adjustmentData = {
+    email: params.get("email"),
+    amount: params.get("amount"),
+    reason: params.get("reason"),
+  };
+
+  const [passes, errors] = await validasaur.validate(
+    adjustmentData,
+    adjustmentValidationRules,
+  );
+
+  if (!passes) {
+    response.status = 400;
+    await renderTransactions(render, membership, {
+      ...adjustmentData,
+      validationErrors: errors,
+    });
+    return;
+  }
+
+  const userFromDatabase = await userService.findUserByEmail(
+    adjustmentData.email,
+  );
+  const adjustmentError = userFromDatabase.length === 1
+    ? await coinService.adjustBalance(
+      membership.association_id,
+      userFromDatabase[0].id,
+      Number(adjustmentData.amount),
+      adjustmentData.reason,
+      user.id,
+    )
+    : "not_found";
+
+  if (adjustmentError) {
+    response.status = adjustmentError === "not_found" ? 404 : 409;
+    await renderTransactions(render, membership, {
+      ...adjustmentData,
+      errors: [adjustmentErrors[adjustmentError]],
+    });
+    return;
+  }
+
+  response.redirect("/transactions");
+};
+
+export { adjustBalance, listTransactions };
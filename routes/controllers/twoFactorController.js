@@ -0,0 +1,102 @@
+import { bcrypt, qrcode } from "../../deps.js";
+import * as twoFactorService from "../../services/twoFactorService.js";
+import * as totp from "../../utils/totp.js";
+
+const ISSUER = "Chores";
+
+// The secret is kept in the session until the user confirms it with a
+// first code, so that an abandoned enrolment changes nothing.
+const renderEnrolment = async ({ render, state, user }, data = {}) => {
+  let secret = await state.session.get("pendingTotpSecret");
+  if (!secret) {
+    secret = totp.generateSecret();
+    await state.session.set("pendingTotpSecret", secret);
+  }
+
+  const uri = totp.otpauthUri(secret, user.email, ISSUER);
+  render("twoFactor.eta", {
+    ...data,
+    secret,
+    uri,
+    qrCode: await qrcode(uri),
+  });
+};
+
+const showTwoFactor = async (context) => {
+  const { render, user } = context;
+
+  if (user.totp_enabled_at) {
+    render("twoFactor.eta", {
+      recoveryCodesLeft: await twoFactorService.countUnusedRecoveryCodes(
+        user.id,
+      ),
+    });
+    return;
+  }
+
+  await renderEnrolment(context);
+};
+
+const enableTwoFactor = async (context) => {
+  const { request, response, render, state, user } = context;
+  const secret = await state.session.get("pendingTotpSecret");
+
+  if (user.totp_enabled_at || !secret) {
+    response.redirect("/account/two-factor");
+    return;
+  }
+
+  const body = request.body({ type: "form" });
+  const params = await body.value;
+  const recoveryCodes = await twoFactorService.enableTwoFactor(
+    user.id,
+    secret,
+    params.get("code"),
+  );
+
+  if (!recoveryCodes) {
+    response.status = 400;
+    await renderEnrolment(context, {
+      errors: ["That code is not valid. Try the current one from your app."],
+    });
+    return;
+  }
+
+  await state.session.set("pendingTotpSecret", null);
+  render("twoFactor.eta", { recoveryCodes });
+};
+
+const renderDisableError = async ({ render, response, user }, message) => {
+  response.status = 403;
+  render("twoFactor.eta", {
+    recoveryCodesLeft: await twoFactorService.countUnusedRecoveryCodes(
+      user.id,
+    ),
+    errors: [message],
+  });
+};
+
+const disableTwoFactor = async (context) => {
+  const { request, response, user } = context;
+  const body = request.body({ type: "form" });
+  const params = await body.value;
+
+  if (user.requires_two_factor) {
+    await renderDisableError(
+      context,
+      "Your role requires two-factor authentication.",
+    );
+    return;
+  }
+
+  if (!await bcrypt.compare(params.get("password") ?? "", user.password)) {
+    await renderDisableError(context, "The password is incorrect.");
+    return;
+  }
+
+  await twoFactorService.disableTwoFactor(user.id);
+
+  response.redirect("/account/two-factor");
+};
+
+export { disableTwoFactor, enableTwoFactor, showTwoFactor };
@@ -1,9 +1,25 @@
 import { Router } from "../deps.js";
+import {
+  requireLogin,
+  requirePermission,
+  requireUser,
+} from "../middlewares/permissionMiddleware.js";
 import * as mainController from "./controllers/mainController.js";
+import * as adminController from "./controllers/adminController.js";
+import * as associationController from "./controllers/associationController.js";
 import * as choreController from "./controllers/choreController.js";
 import * as registrationController from "./controllers/registrationController.js";
-import * as loginController from "./controllers/loginController.js"
-import * as statisticsController from "./controllers/statisticsController.js"
+import * as sessionController from "./controllers/sessionController.js";
+import * as emailController from "./controllers/emailController.js";
+import * as householdController from "./controllers/householdController.js";
+import * as loginController from "./controllers/loginController.js";
+import * as notificationController from "./controllers/notificationController.js";
+import * as passwordResetController from "./controllers/passwordResetController.js";
+import * as profileController from "./controllers/profileController.js";
+import * as propertyController from "./controllers/propertyController.js";
+import * as statisticsController from "./controllers/statisticsController.js";
+import * as transactionController from "./controllers/transactionController.js";
+import * as twoFactorController from "./controllers/twoFactorController.js";
 
 import * as choreApi from "./apis/choreApi.js";
 
@@ -11,23 +27,238 @@ const router = new Router();
 
 router.get("/", mainController.showMain);
 
-router.get("/chores", choreController.listChores);
-router.post("/chores", choreController.addChore);
+router.get("/chores", requireUser, choreController.listChores);
+router.post("/chores", requireUser, choreController.addChore);
 
-router.post("/chores/:id/claim", choreController.claimChore);
-router.post("/chores/:id/complete", choreController.completeChore);
+router.get("/chores/:id", requireUser, choreController.showChore);
+router.get("/chores/:id/edit", requireUser, choreController.showEditForm);
+router.post("/chores/:id/edit", requireUser, choreController.editChore);
+router.post("/chores/:id/cancel", requireUser, choreController.cancelChore);
+router.post(
+  "/chores/schedules/:id/cancel",
+  requireUser,
+  choreController.cancelSchedule,
+);
+router.post(
+  "/chores/:id/remove",
+  requirePermission("chores:moderate"),
+  choreController.removeChore,
+);
+
+router.post("/chores/:id/claim", requireUser, choreController.claimChore);
+router.post("/chores/:id/release", requireUser, choreController.releaseChore);
+router.post("/chores/:id/complete", requireUser, choreController.completeChore);
+router.post("/chores/:id/approve", requireUser, choreController.approveChore);
+router.post("/chores/:id/reject", requireUser, choreController.rejectChore);
 
 router.get("/auth/register", registrationController.showRegistrationForm);
 router.post("/auth/register", registrationController.registerUser);
 
 router.get("/auth/login", loginController.showLoginForm);
 router.post("/auth/login", loginController.processLogin);
+router.post("/auth/logout", loginController.logout);
+router.get("/auth/two-factor", loginController.showTwoFactorForm);
+router.post("/auth/two-factor", loginController.processTwoFactor);
+
+router.get("/auth/verify-email", emailController.verifyEmail);
+router.post(
+  "/account/verify-email",
+  requireLogin,
+  emailController.resendVerification,
+);
+router.get("/account/email", requireLogin, emailController.showEmailForm);
+router.post("/account/email", requireLogin, emailController.requestEmailChange);
+router.get(
+  "/account/two-factor",
+  requireLogin,
+  twoFactorController.showTwoFactor,
+);
+router.post(
+  "/account/two-factor",
+  requireLogin,
+  twoFactorController.enableTwoFactor,
+);
+router.post(
+  "/account/two-factor/disable",
+  requireLogin,
+  twoFactorController.disableTwoFactor,
+);
+
+router.get("/auth/forgot-password", passwordResetController.showRequestForm);
+router.post("/auth/forgot-password", passwordResetController.requestReset);
+router.get(
+  "/auth/reset-password/:token",
+  passwordResetController.showResetForm,
+);
+router.post(
+  "/auth/reset-password/:token",
+  passwordResetController.resetPassword,
+);
+
+router.get("/household", requireUser, householdController.showHousehold);
+router.post("/household", requireUser, householdController.createHousehold);
+router.post(
+  "/household/invite",
+  requireUser,
+  householdController.inviteMember,
+);
+router.post(
+  "/household/accept",
+  requireUser,
+  householdController.acceptInvitation,
+);
+router.post(
+  "/household/decline",
+  requireUser,
+  householdController.declineInvitation,
+);
+router.post(
+  "/household/leave",
+  requireUser,
+  householdController.leaveHousehold,
+);
+
+router.get("/profile", requireUser, profileController.showProfile);
+router.post("/profile", requireUser, profileController.updateProfile);
+router.post(
+  "/profile/password",
+  requireUser,
+  profileController.changePassword,
+);
+
+router.get("/sessions", requireUser, sessionController.listSessions);
+router.post(
+  "/sessions/:id/revoke",
+  requireUser,
+  sessionController.revokeSession,
+);
+
+router.post(
+  "/notifications/:id/read",
+  requireUser,
+  notificationController.markNotificationRead,
+);
+
+router.post(
+  "/associations/switch",
+  requireUser,
+  associationController.switchAssociation,
+);
+router.get(
+  "/associations/invitations",
+  requireLogin,
+  associationController.showInvitations,
+);
+router.post(
+  "/associations/invitations/:id/accept",
+  requireLogin,
+  associationController.acceptInvitation,
+);
+router.post(
+  "/associations/invitations/:id/decline",
+  requireLogin,
+  associationController.declineInvitation,
+);
 
-router.get("/api/chores", choreApi.listAvailableChores);
+router.get("/api/chores", requireUser, choreApi.listAvailableChores);
+
+router.get("/admin", requireUser, adminController.showAdmin);
+router.get(
+  "/admin/users",
+  requirePermission("users:manage"),
+  adminController.listUsers,
+);
+router.post(
+  "/admin/users",
+  requirePermission("users:manage"),
+  adminController.inviteMember,
+);
+router.get(
+  "/admin/users/:id",
+  requirePermission("users:manage"),
+  adminController.showUser,
+);
+router.post(
+  "/admin/users/:id/role",
+  requirePermission("users:manage"),
+  adminController.changeRole,
+);
+router.post(
+  "/admin/users/:id/deactivate",
+  requirePermission("users:manage"),
+  adminController.deactivateUser,
+);
+router.post(
+  "/admin/users/:id/reactivate",
+  requirePermission("users:manage"),
+  adminController.reactivateUser,
+);
+router.post(
+  "/admin/users/:id/reset-password",
+  requirePermission("users:manage"),
+  adminController.resetPassword,
+);
+router.post(
+  "/admin/users/:id/adjust",
+  requirePermission("coins:adjust"),
+  adminController.adjustBalance,
+);
+router.get(
+  "/admin/chores",
+  requirePermission("chores:moderate"),
+  adminController.listChores,
+);
+router.post(
+  "/admin/chores/:id/unassign",
+  requirePermission("chores:moderate"),
+  adminController.unassignChore,
+);
+router.get(
+  "/admin/properties",
+  requirePermission("users:manage"),
+  propertyController.listProperties,
+);
+router.post(
+  "/admin/properties/buildings",
+  requirePermission("users:manage"),
+  propertyController.addBuilding,
+);
+router.post(
+  "/admin/properties/staircases",
+  requirePermission("users:manage"),
+  propertyController.addStaircase,
+);
+router.post(
+  "/admin/properties/units",
+  requirePermission("users:manage"),
+  propertyController.addUnit,
+);
+router.get(
+  "/admin/roles",
+  requirePermission("users:manage"),
+  adminController.listRoles,
+);
+router.post(
+  "/admin/roles/:name",
+  requirePermission("users:manage"),
+  adminController.updateRole,
+);
 
 router.get(
   "/statistics",
+  requireUser,
   statisticsController.showFiveUsersWithMostCreatedChores,
 );
 
-export { router };
\ No newline at end of file
+router.get(
+  "/transactions",
+  requireUser,
+  transactionController.listTransactions,
+);
+router.post(
+  "/transactions/adjust",
+  requirePermission("coins:adjust"),
+  transactionController.adjustBalance,
+);
+
+export { router };
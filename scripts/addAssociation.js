@@ -0,0 +1,32 @@
+// Starts a new housing association with a registered user as its first
+// administrator. Administrators of an association cannot start others, so
+// this is left to whoever operates the instance:
+//   docker compose run --rm app run --allow-net --allow-env \
+//     scripts/addAssociation.js <name> <email>
+import { sql } from "../database/database.js";
+import * as propertyService from "../services/propertyService.js";
+import * as userService from "../services/userService.js";
+
+const [name, email] = Deno.args;
+
+if (!name || !email) {
+  console.error("Usage: addAssociation.js <name> <email>");
+  Deno.exit(1);
+}
+
+const userFromDatabase = await userService.findUserByEmail(email);
+if (userFromDatabase.length === 0) {
+  console.error(`No user has registered with ${email}.`);
+  await sql.end();
+  Deno.exit(1);
+}
+
+const associationId = await propertyService.addAssociation(
+  name,
+  userFromDatabase[0].id,
+);
+await sql.end();
+
+console.log(
+  `Started ${name} (id ${associationId}) with ${email} as its administrator.`,
+);
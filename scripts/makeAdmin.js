@@ -0,0 +1,34 @@
+// Makes a registered user an administrator of an association, which is how
+// a fresh installation gets its first administrator. Without an association
+// id, the first association is used:
+//   docker compose run --rm app run --allow-net --allow-env \
+//     scripts/makeAdmin.js <email> [association id]
+import { sql } from "../database/database.js";
+import * as userService from "../services/userService.js";
+
+const [email, associationId] = Deno.args;
+
+if (!email) {
+  console.error("Usage: makeAdmin.js <email> [association id]");
+  Deno.exit(1);
+}
+
+const userFromDatabase = await userService.findUserByEmail(email);
+if (userFromDatabase.length === 0) {
+  console.error(`No user has registered with ${email}.`);
+  await sql.end();
+  Deno.exit(1);
+}
+
+const madeAdmin = await userService.makeAdministrator(
+  associationId ? Number(associationId) : null,
+  userFromDatabase[0].id,
+);
+await sql.end();
+
+if (!madeAdmin) {
+  console.error(`There is no association with the id ${associationId}.`);
+  Deno.exit(1);
+}
+
+console.log(`${email} is now an administrator.`);
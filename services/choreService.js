@@ -1,68 +1,967 @@
 import { sql } from "../database/database.js";
+import { config } from "../config/config.js";
+import * as coinService from "./coinService.js";
+import * as notificationService from "./notificationService.js";
 
-const addChore = async (userId, title, description, chorecoins, dueDate) => {
-  await sql`INSERT INTO chores
-      (user_id, title, description, chorecoins, due_date)
-        VALUES (${userId}, ${title}, ${description}, ${chorecoins}, ${dueDate})`;
+// Must be called with a transaction from sql.begin. Reserves the chore's
+// coins from the creator's wallet in the association. Returns false without
+// creating the chore if the wallet does not cover them.
+// The scope is { buildingId, staircaseId }. Leaving both null posts the
+// chore to the whole association.
+const insertChore = async (
+  tx,
+  associationId,
+  userId,
+  title,
+  description,
+  chorecoins,
+  dueDate,
+  { buildingId = null, staircaseId = null } = {},
+  scheduleId = null,
+) => {
+  const available = await coinService.lockWallet(tx, associationId, userId);
+
+  if (available === null || available < chorecoins) {
+    return false;
+  }
+
+  const choreRes = await tx`INSERT INTO chores
+    (association_id, user_id, household_id, title, description, chorecoins,
+      due_date, building_id, staircase_id, schedule_id)
+      SELECT ${associationId}, ${userId}, household_id, ${title},
+          ${description}, ${chorecoins}, ${dueDate}, ${buildingId},
+          ${staircaseId}, ${scheduleId}
+        FROM memberships
+        WHERE association_id = ${associationId} AND user_id = ${userId}
+      RETURNING id`;
+
+  if (chorecoins > 0) {
+    await coinService.escrowCoins(tx, userId, chorecoins, choreRes[0].id);
+  }
+
+  return true;
+};
+
+const addChore = async (
+  associationId,
+  userId,
+  title,
+  description,
+  chorecoins,
+  dueDate,
+  scope,
+) => {
+  return await sql.begin(async (tx) => {
+    return await insertChore(
+      tx,
+      associationId,
+      userId,
+      title,
+      description,
+      chorecoins,
+      dueDate,
+      scope,
+    );
+  });
 };
 
-const claimChore = async (choreId, userId) => {
-  await sql`INSERT INTO chore_assignments
-    (chore_id, user_id, created_at) VALUES
-      (${choreId}, ${userId}, NOW())`;
+// Returns null when the chore was claimed, and otherwise the reason it
+// could not be: "not_found", "cancelled", "own_chore", "expired" or "taken".
+// A claim for the household can be finished or released by any member of
+// the claimant's household.
+const claimChore = async (
+  associationId,
+  choreId,
+  userId,
+  forHousehold = false,
+) => {
+  return await sql.begin(async (tx) => {
+    const choreRes = await tx`SELECT user_id, cancelled_at,
+        (due_date IS NOT NULL AND due_date <= NOW()) AS expired
+      FROM chores
+      WHERE id = ${choreId} AND association_id = ${associationId}
+      FOR UPDATE`;
+
+    if (choreRes.length === 0) {
+      return "not_found";
+    }
+
+    const chore = choreRes[0];
+    if (chore.cancelled_at) {
+      return "cancelled";
+    }
+
+    if (chore.user_id === userId) {
+      return "own_chore";
+    }
+
+    if (chore.expired) {
+      return "expired";
+    }
+
+    const assignmentRes = await tx`INSERT INTO chore_assignments
+      (association_id, chore_id, user_id, household_id, for_household,
+        created_at)
+        SELECT ${associationId}, ${choreId}, ${userId}, household_id,
+            household_id IS NOT NULL AND ${forHousehold}, NOW()
+          FROM memberships
+          WHERE association_id = ${associationId} AND user_id = ${userId}
+      ON CONFLICT (chore_id) WHERE released_at IS NULL DO NOTHING
+      RETURNING id`;
+
+    if (assignmentRes.length === 0) {
+      return "taken";
+    }
+
+    return null;
+  });
 };
 
-const listChores = async () => {
+const findChoreById = async (associationId, choreId) => {
   const rows = await sql`SELECT * FROM chores
-      WHERE (due_date IS NULL OR due_date > NOW())`;
+      WHERE id = ${choreId} AND association_id = ${associationId}`;
+  return rows;
+};
+
+const findChoreDetails = async (associationId, choreId) => {
+  const rows = await sql`SELECT chores.*, creators.name AS creator_name,
+        claimants.name AS claimant_name, buildings.name AS building_name,
+        staircases.name AS staircase_name,
+        chore_schedules.cancelled_at AS schedule_cancelled_at
+      FROM chores
+        JOIN users AS creators ON creators.id = chores.user_id
+        LEFT JOIN chore_schedules ON chore_schedules.id = chores.schedule_id
+        LEFT JOIN buildings ON buildings.id = chores.building_id
+        LEFT JOIN staircases ON staircases.id = chores.staircase_id
+        LEFT JOIN chore_assignments ON chore_assignments.chore_id = chores.id
+          AND chore_assignments.released_at IS NULL
+        LEFT JOIN users AS claimants ON claimants.id = chore_assignments.user_id
+      WHERE chores.id = ${choreId}
+        AND chores.association_id = ${associationId}`;
 
   return rows;
 };
 
-const listAvailableChores = async () => {
-  const rows = await sql`SELECT * FROM chores
-      WHERE (due_date IS NULL OR due_date > NOW())
-      AND id NOT IN (SELECT chore_id FROM chore_assignments)`;
+// Events in the life of a chore, oldest first. Each row has the time of
+// the event, its type, the user it concerns and an optional detail.
+const listChoreHistory = async (associationId, choreId) => {
+  const rows = await sql`SELECT * FROM (
+      SELECT chores.created_at AS at, 'created' AS event,
+          users.name AS user_name, NULL AS detail
+        FROM chores JOIN users ON users.id = chores.user_id
+        WHERE chores.id = ${choreId} AND chores.created_at IS NOT NULL
+      UNION ALL
+      SELECT chore_assignments.created_at, 'claimed', users.name, NULL
+        FROM chore_assignments
+          JOIN users ON users.id = chore_assignments.user_id
+        WHERE chore_assignments.chore_id = ${choreId}
+      UNION ALL
+      SELECT chore_assignments.submitted_at, 'submitted', users.name, NULL
+        FROM chore_assignments
+          JOIN users ON users.id = chore_assignments.user_id
+        WHERE chore_assignments.chore_id = ${choreId}
+          AND chore_assignments.submitted_at IS NOT NULL
+      UNION ALL
+      SELECT chore_assignments.rejected_at, 'rejected', users.name,
+          chore_assignments.rejection_reason
+        FROM chore_assignments
+          JOIN users ON users.id = chore_assignments.user_id
+        WHERE chore_assignments.chore_id = ${choreId}
+          AND chore_assignments.rejected_at IS NOT NULL
+      UNION ALL
+      SELECT chore_assignments.completed_at, 'completed', users.name, NULL
+        FROM chore_assignments
+          JOIN users ON users.id = chore_assignments.user_id
+        WHERE chore_assignments.chore_id = ${choreId}
+          AND chore_assignments.completed_at IS NOT NULL
+      UNION ALL
+      SELECT chore_assignments.released_at,
+          CASE WHEN chore_assignments.lapsed THEN 'lapsed'
+            WHEN chore_assignments.unassigned_by IS NOT NULL THEN 'unassigned'
+            ELSE 'released' END,
+          users.name, chore_assignments.release_penalty::text
+        FROM chore_assignments
+          JOIN users ON users.id = chore_assignments.user_id
+        WHERE chore_assignments.chore_id = ${choreId}
+          AND chore_assignments.released_at IS NOT NULL
+      UNION ALL
+      SELECT coin_transactions.created_at,
+          CASE WHEN coin_transactions.reason = 'chore_completed'
+            THEN 'paid' ELSE 'refunded' END,
+          users.name, coin_transactions.amount::text
+        FROM coin_transactions
+          JOIN users ON users.id = coin_transactions.user_id
+        WHERE coin_transactions.chore_id = ${choreId}
+          AND coin_transactions.account = 'available'
+          AND coin_transactions.reason <> 'chore_released'
+          AND coin_transactions.amount > 0
+      UNION ALL
+      SELECT chores.cancelled_at,
+          CASE WHEN chores.removed_by IS NULL
+            THEN 'cancelled' ELSE 'removed' END,
+          users.name, chores.removal_reason
+        FROM chores
+          JOIN users ON users.id = COALESCE(chores.removed_by, chores.user_id)
+        WHERE chores.id = ${choreId} AND chores.cancelled_at IS NOT NULL
+    ) AS history
+    WHERE EXISTS (
+      SELECT 1 FROM chores
+        WHERE id = ${choreId} AND association_id = ${associationId}
+    )
+    ORDER BY at`;
 
   return rows;
 };
 
-const listUserChores = async (userId) => {
+const listChores = async (associationId) => {
   const rows = await sql`SELECT * FROM chores
-      WHERE id IN (
-        SELECT chore_id FROM chore_assignments
-          WHERE user_id = ${userId} AND completed_at IS NULL
-      )`;
+      WHERE association_id = ${associationId}
+      AND (due_date IS NULL OR due_date > NOW())
+      AND cancelled_at IS NULL`;
 
   return rows;
 };
 
-const completeChore = async (choreId, userId) => {
-  await sql`UPDATE chore_assignments SET completed_at = NOW()
-        WHERE chore_id = ${choreId} AND user_id = ${userId}`;
+// All chores whose title or description contains the search text, newest
+// first, with their creator and current claimant.
+const listAllChores = async (associationId, search = "") => {
+  const pattern = `%${search.replace(/[\\%_]/g, "\\$&")}%`;
+  const rows = await sql`SELECT chores.*, creators.name AS creator_name,
+        claimants.name AS claimant_name,
+        chore_assignments.completed_at
+      FROM chores
+        JOIN users AS creators ON creators.id = chores.user_id
+        LEFT JOIN chore_assignments ON chore_assignments.chore_id = chores.id
+          AND chore_assignments.released_at IS NULL
+        LEFT JOIN users AS claimants ON claimants.id = chore_assignments.user_id
+      WHERE chores.association_id = ${associationId}
+        AND (chores.title ILIKE ${pattern}
+          OR chores.description ILIKE ${pattern})
+      ORDER BY chores.id DESC`;
+
+  return rows;
+};
+
+// Given a building, only lists the chores for the whole association, for
+// that building, and for the given staircase of it.
+const listAvailableChores = async (
+  associationId,
+  buildingId = null,
+  staircaseId = null,
+) => {
+  const rows = await sql`SELECT chores.*, buildings.name AS building_name,
+        staircases.name AS staircase_name
+      FROM chores
+        LEFT JOIN buildings ON buildings.id = chores.building_id
+        LEFT JOIN staircases ON staircases.id = chores.staircase_id
+      WHERE chores.association_id = ${associationId}
+      AND (chores.due_date IS NULL OR chores.due_date > NOW())
+      AND chores.cancelled_at IS NULL
+      AND chores.id NOT IN (
+        SELECT chore_id FROM chore_assignments WHERE released_at IS NULL
+      )
+      AND (${buildingId}::integer IS NULL
+        OR chores.building_id IS NULL
+        OR (chores.building_id = ${buildingId}
+          AND (chores.staircase_id IS NULL
+            OR chores.staircase_id = ${staircaseId}::integer)))
+      ORDER BY chores.due_date NULLS LAST, chores.id`;
+
+  return rows;
+};
+
+// Chores posted by the user that are still open, along with whoever has
+// claimed them.
+const listCreatedChores = async (associationId, userId) => {
+  const rows = await sql`SELECT chores.*, chore_assignments.submitted_at,
+        users.name AS claimant_name
+      FROM chores
+        LEFT JOIN chore_assignments ON chore_assignments.chore_id = chores.id
+          AND chore_assignments.released_at IS NULL
+        LEFT JOIN users ON users.id = chore_assignments.user_id
+      WHERE chores.association_id = ${associationId}
+        AND chores.user_id = ${userId}
+        AND chores.cancelled_at IS NULL
+        AND chore_assignments.completed_at IS NULL
+        AND (chore_assignments.id IS NOT NULL
+          OR chores.due_date IS NULL OR chores.due_date > NOW())
+      ORDER BY chores.due_date`;
+
+  return rows;
+};
+
+const listUserChores = async (associationId, userId) => {
+  const rows = await sql`SELECT chores.*, chore_assignments.submitted_at,
+        chore_assignments.rejection_reason,
+        (chores.due_date IS NOT NULL AND chores.due_date <= NOW()) AS overdue
+      FROM chores
+        JOIN chore_assignments ON chore_assignments.chore_id = chores.id
+      WHERE chores.association_id = ${associationId}
+        AND chore_assignments.user_id = ${userId}
+        AND chore_assignments.completed_at IS NULL
+        AND chore_assignments.released_at IS NULL
+        AND chores.cancelled_at IS NULL`;
+
+  return rows;
+};
 
-  const coinsRes = await sql`SELECT chorecoins FROM chores WHERE id = ${choreId}`;
+// Open claims of the other members of the user's household. Those claimed
+// for the household can be finished by the user as well.
+const listHouseholdChores = async (associationId, userId) => {
+  const rows = await sql`SELECT chores.*, chore_assignments.submitted_at,
+        chore_assignments.for_household, users.name AS claimant_name,
+        (chores.due_date IS NOT NULL AND chores.due_date <= NOW()) AS overdue
+      FROM chores
+        JOIN chore_assignments ON chore_assignments.chore_id = chores.id
+        JOIN users ON users.id = chore_assignments.user_id
+        JOIN memberships ON memberships.user_id = chore_assignments.user_id
+          AND memberships.association_id = chores.association_id
+      WHERE chores.association_id = ${associationId}
+        AND chore_assignments.user_id <> ${userId}
+        AND memberships.household_id = (
+          SELECT household_id FROM memberships
+            WHERE association_id = ${associationId} AND user_id = ${userId}
+        )
+        AND chore_assignments.completed_at IS NULL
+        AND chore_assignments.released_at IS NULL
+        AND chores.cancelled_at IS NULL
+      ORDER BY chores.due_date NULLS LAST, chores.id`;
 
-  const coins = coinsRes[0].chorecoins;
-  if (coins === 0) {
-    return;
+  return rows;
+};
+
+// Chores posted by the user that a claimant has marked complete.
+const listPendingReviews = async (associationId, userId) => {
+  const rows = await sql`SELECT chores.*, chore_assignments.submitted_at,
+        users.name AS claimant_name
+      FROM chores
+        JOIN chore_assignments ON chore_assignments.chore_id = chores.id
+        JOIN users ON users.id = chore_assignments.user_id
+      WHERE chores.association_id = ${associationId}
+        AND chores.user_id = ${userId}
+        AND chore_assignments.submitted_at IS NOT NULL
+        AND chore_assignments.completed_at IS NULL
+        AND chore_assignments.released_at IS NULL
+        AND chores.cancelled_at IS NULL`;
+
+  return rows;
+};
+
+// Matches the assignments the user may act on as the claimant: their own,
+// and those claimed for their household.
+const claimedBy = (associationId, userId) => {
+  return sql`(chore_assignments.user_id = ${userId}
+    OR (chore_assignments.for_household
+      AND chore_assignments.household_id = (
+        SELECT household_id FROM memberships
+          WHERE association_id = ${associationId} AND user_id = ${userId}
+      )))`;
+};
+
+// Submits the claimant's work for review by the creator. Returns null on
+// success, and otherwise "not_assigned", "cancelled", "already_submitted"
+// or "already_completed".
+const completeChore = async (associationId, choreId, userId) => {
+  return await sql.begin(async (tx) => {
+    const assignmentRes = await tx`UPDATE chore_assignments
+        SET submitted_at = NOW()
+        WHERE chore_id = ${choreId}
+          AND ${claimedBy(associationId, userId)}
+          AND submitted_at IS NULL AND completed_at IS NULL
+          AND released_at IS NULL
+          AND chore_id IN (
+            SELECT id FROM chores
+              WHERE association_id = ${associationId} AND cancelled_at IS NULL
+          )
+        RETURNING id`;
+
+    if (assignmentRes.length > 0) {
+      return null;
+    }
+
+    const existingRes = await tx`SELECT chore_assignments.completed_at,
+          chores.cancelled_at
+        FROM chore_assignments
+          JOIN chores ON chores.id = chore_assignments.chore_id
+        WHERE chore_id = ${choreId}
+          AND ${claimedBy(associationId, userId)}
+          AND chores.association_id = ${associationId}
+          AND chore_assignments.released_at IS NULL`;
+
+    if (existingRes.length === 0) {
+      return "not_assigned";
+    }
+
+    if (existingRes[0].cancelled_at) {
+      return "cancelled";
+    }
+
+    return existingRes[0].completed_at
+      ? "already_completed"
+      : "already_submitted";
+  });
+};
+
+// Locks the chore for a change by its creator. Returns the reason the
+// change is not allowed, or null.
+const checkCreator = async (tx, associationId, choreId, userId) => {
+  const choreRes = await tx`SELECT user_id, cancelled_at FROM chores
+      WHERE id = ${choreId} AND association_id = ${associationId}
+      FOR UPDATE`;
+
+  if (choreRes.length === 0) {
+    return "not_found";
   }
 
-  await sql`UPDATE users SET
-        chorecoins = chorecoins + ${coins}
-        WHERE id = ${userId}`;
+  if (choreRes[0].user_id !== userId) {
+    return "not_creator";
+  }
+
+  if (choreRes[0].cancelled_at) {
+    return "cancelled";
+  }
+
+  return null;
+};
+
+// Completes the assignment and pays the escrowed coins to the claimant.
+// Returns null on success, and otherwise "not_found", "not_creator",
+// "cancelled" or "not_pending".
+const approveChore = async (associationId, choreId, userId) => {
+  return await sql.begin(async (tx) => {
+    const reviewError = await checkCreator(
+      tx,
+      associationId,
+      choreId,
+      userId,
+    );
+    if (reviewError) {
+      return reviewError;
+    }
+
+    const assignmentRes = await tx`UPDATE chore_assignments
+        SET completed_at = NOW()
+        WHERE chore_id = ${choreId} AND released_at IS NULL
+          AND submitted_at IS NOT NULL AND completed_at IS NULL
+        RETURNING user_id`;
+
+    if (assignmentRes.length === 0) {
+      return "not_pending";
+    }
+
+    const escrowed = await coinService.findEscrowedAmount(tx, choreId);
+    if (escrowed > 0) {
+      await coinService.releaseEscrow(
+        tx,
+        userId,
+        assignmentRes[0].user_id,
+        escrowed,
+        choreId,
+      );
+    }
+
+    return null;
+  });
+};
+
+// Sends the chore back to the claimant. Returns null on success, and
+// otherwise "not_found", "not_creator", "cancelled" or "not_pending".
+const rejectChore = async (associationId, choreId, userId, reason) => {
+  return await sql.begin(async (tx) => {
+    const reviewError = await checkCreator(
+      tx,
+      associationId,
+      choreId,
+      userId,
+    );
+    if (reviewError) {
+      return reviewError;
+    }
+
+    const assignmentRes = await tx`UPDATE chore_assignments
+        SET submitted_at = NULL, rejected_at = NOW(),
+          rejection_reason = ${reason}
+        WHERE chore_id = ${choreId} AND released_at IS NULL
+          AND submitted_at IS NOT NULL AND completed_at IS NULL
+        RETURNING id`;
+
+    if (assignmentRes.length === 0) {
+      return "not_pending";
+    }
+
+    return null;
+  });
+};
+
+// Gives a claimed chore back to the pool of available chores. Releasing it
+// within the penalty window before the due date moves a penalty, capped at
+// the claimant's available balance, to the creator. Returns null on
+// success, and otherwise "not_assigned", "already_submitted" or
+// "already_completed".
+const releaseChore = async (associationId, choreId, userId) => {
+  return await sql.begin(async (tx) => {
+    const choreRes = await tx`SELECT user_id,
+        (due_date IS NOT NULL AND due_date - make_interval(
+          hours => ${config.releasePenaltyWindowHours}
+        ) <= NOW()) AS in_penalty_window
+      FROM chores
+      WHERE id = ${choreId} AND association_id = ${associationId}
+      FOR UPDATE`;
 
-  await sql`UPDATE users SET
-        chorecoins = chorecoins - ${coins}
-        WHERE id IN (SELECT user_id FROM chores WHERE id = ${choreId})`;
+    const assignmentRes = await tx`SELECT id, submitted_at, completed_at
+        FROM chore_assignments
+        WHERE chore_id = ${choreId}
+          AND ${claimedBy(associationId, userId)}
+          AND released_at IS NULL`;
+
+    if (choreRes.length === 0 || assignmentRes.length === 0) {
+      return "not_assigned";
+    }
+
+    const assignment = assignmentRes[0];
+    if (assignment.completed_at) {
+      return "already_completed";
+    }
+
+    if (assignment.submitted_at) {
+      return "already_submitted";
+    }
+
+    let penalty = 0;
+    if (choreRes[0].in_penalty_window) {
+      const available = await coinService.lockWallet(
+        tx,
+        associationId,
+        userId,
+      );
+
+      penalty = Math.max(0, Math.min(config.releasePenaltyCoins, available));
+    }
+
+    if (penalty > 0) {
+      await coinService.transferCoins(
+        tx,
+        userId,
+        choreRes[0].user_id,
+        penalty,
+        choreId,
+        "chore_released",
+      );
+    }
+
+    await tx`UPDATE chore_assignments
+        SET released_at = NOW(), release_penalty = ${penalty}
+        WHERE id = ${assignment.id}`;
+
+    return null;
+  });
+};
+
+// Lets a moderator take a chore away from its claimant without a penalty,
+// so that others can claim it again. Returns null on success, and
+// otherwise "not_found", "not_assigned" or "completed".
+const unassignChore = async (associationId, choreId, moderatorId) => {
+  return await sql.begin(async (tx) => {
+    const choreRes = await tx`SELECT title FROM chores
+        WHERE id = ${choreId} AND association_id = ${associationId}
+        FOR UPDATE`;
+
+    if (choreRes.length === 0) {
+      return "not_found";
+    }
+
+    const assignmentRes = await tx`SELECT id, user_id, completed_at
+        FROM chore_assignments
+        WHERE chore_id = ${choreId} AND released_at IS NULL`;
+
+    if (assignmentRes.length === 0) {
+      return "not_assigned";
+    }
+
+    const assignment = assignmentRes[0];
+    if (assignment.completed_at) {
+      return "completed";
+    }
+
+    await tx`UPDATE chore_assignments
+        SET released_at = NOW(), release_penalty = 0,
+          unassigned_by = ${moderatorId}
+        WHERE id = ${assignment.id}`;
+
+    await notificationService.addNotification(
+      associationId,
+      assignment.user_id,
+      `A moderator took "${choreRes[0].title}" away from you.`,
+      tx,
+    );
+
+    return null;
+  });
+};
+
+// Changes an unclaimed chore and tops up or refunds its escrow to match the
+// new coin amount. The due date cannot be moved into the past. Returns null
+// on success, and otherwise "not_found", "not_creator", "cancelled",
+// "past_due_date", "claimed" or "insufficient_balance".
+const updateChore = async (
+  associationId,
+  choreId,
+  userId,
+  title,
+  description,
+  chorecoins,
+  dueDate,
+) => {
+  return await sql.begin(async (tx) => {
+    const creatorError = await checkCreator(
+      tx,
+      associationId,
+      choreId,
+      userId,
+    );
+    if (creatorError) {
+      return creatorError;
+    }
+
+    const today = new Date().toISOString().substring(0, 10);
+    if (dueDate < today) {
+      return "past_due_date";
+    }
+
+    const assignmentRes = await tx`SELECT id FROM chore_assignments
+        WHERE chore_id = ${choreId} AND released_at IS NULL`;
+
+    if (assignmentRes.length > 0) {
+      return "claimed";
+    }
+
+    const escrowed = await coinService.findEscrowedAmount(tx, choreId);
+    if (chorecoins > escrowed) {
+      const available = await coinService.lockWallet(
+        tx,
+        associationId,
+        userId,
+      );
+
+      if (available < chorecoins - escrowed) {
+        return "insufficient_balance";
+      }
+
+      await coinService.escrowCoins(tx, userId, chorecoins - escrowed, choreId);
+    } else if (chorecoins < escrowed) {
+      await coinService.refundEscrow(
+        tx,
+        userId,
+        escrowed - chorecoins,
+        choreId,
+        "chore_edited",
+      );
+    }
+
+    await tx`UPDATE chores SET title = ${title},
+        description = ${description}, chorecoins = ${chorecoins},
+        due_date = ${dueDate}
+      WHERE id = ${choreId}`;
+
+    return null;
+  });
+};
+
+// Withdraws a chore, refunds its escrow and lets a claimant know. Returns
+// null on success, and otherwise "not_found", "not_creator", "cancelled",
+// "already_submitted" or "completed". Submitted work has to be reviewed
+// instead.
+const cancelChore = async (associationId, choreId, userId) => {
+  return await sql.begin(async (tx) => {
+    const creatorError = await checkCreator(
+      tx,
+      associationId,
+      choreId,
+      userId,
+    );
+    if (creatorError) {
+      return creatorError;
+    }
+
+    const assignmentRes = await tx`SELECT user_id, submitted_at, completed_at
+        FROM chore_assignments
+        WHERE chore_id = ${choreId} AND released_at IS NULL`;
+
+    if (assignmentRes.length > 0 && assignmentRes[0].completed_at) {
+      return "completed";
+    }
+
+    if (assignmentRes.length > 0 && assignmentRes[0].submitted_at) {
+      return "already_submitted";
+    }
+
+    const choreRes = await tx`UPDATE chores SET cancelled_at = NOW()
+        WHERE id = ${choreId}
+        RETURNING title`;
+
+    const escrowed = await coinService.findEscrowedAmount(tx, choreId);
+    if (escrowed > 0) {
+      await coinService.refundEscrow(
+        tx,
+        userId,
+        escrowed,
+        choreId,
+        "chore_cancelled",
+      );
+    }
+
+    if (assignmentRes.length > 0) {
+      const title = choreRes[0].title;
+      await notificationService.addNotification(
+        associationId,
+        assignmentRes[0].user_id,
+        `"${title}", which you claimed, was cancelled by its creator.`,
+        tx,
+      );
+    }
+
+    return null;
+  });
+};
+
+// Lets a moderator take down a chore that has not been paid out, returning
+// any escrowed coins to its creator. Returns null on success, and otherwise
+// "not_found", "cancelled" or "completed".
+const removeChore = async (
+  associationId,
+  choreId,
+  moderatorId,
+  reason,
+) => {
+  return await sql.begin(async (tx) => {
+    const choreRes = await tx`SELECT user_id, title, cancelled_at FROM chores
+        WHERE id = ${choreId} AND association_id = ${associationId}
+        FOR UPDATE`;
+
+    if (choreRes.length === 0) {
+      return "not_found";
+    }
+
+    const chore = choreRes[0];
+    if (chore.cancelled_at) {
+      return "cancelled";
+    }
+
+    const assignmentRes = await tx`SELECT user_id, completed_at
+        FROM chore_assignments
+        WHERE chore_id = ${choreId} AND released_at IS NULL`;
+
+    if (assignmentRes.length > 0 && assignmentRes[0].completed_at) {
+      return "completed";
+    }
+
+    await tx`UPDATE chores SET cancelled_at = NOW(),
+        removed_by = ${moderatorId}, removal_reason = ${reason}
+        WHERE id = ${choreId}`;
+
+    const escrowed = await coinService.findEscrowedAmount(tx, choreId);
+    if (escrowed > 0) {
+      await coinService.refundEscrow(
+        tx,
+        chore.user_id,
+        escrowed,
+        choreId,
+        "chore_removed",
+      );
+    }
+
+    await notificationService.addNotification(
+      associationId,
+      chore.user_id,
+      `Your chore "${chore.title}" was removed by a moderator: ${reason}`,
+      tx,
+    );
+
+    if (assignmentRes.length > 0) {
+      await notificationService.addNotification(
+        associationId,
+        assignmentRes[0].user_id,
+        `"${chore.title}", which you claimed, was removed by a moderator.`,
+        tx,
+      );
+    }
+
+    return null;
+  });
+};
+
+// Tells creators about claimed chores that are past their due date, and
+// lets claims lapse once the grace period is over. Chores already waiting
+// for review are left to the creator.
+const handleOverdueChores = async () => {
+  const overdueAssignments = await sql`SELECT chore_assignments.id,
+        chores.association_id, chores.user_id AS creator_id, chores.title, users.name AS claimant_name
+      FROM chore_assignments
+        JOIN chores ON chores.id = chore_assignments.chore_id
+        JOIN users ON users.id = chore_assignments.user_id
+      WHERE chore_assignments.released_at IS NULL
+        AND chore_assignments.submitted_at IS NULL
+        AND chore_assignments.completed_at IS NULL
+        AND chore_assignments.overdue_notified_at IS NULL
+        AND chores.cancelled_at IS NULL
+        AND chores.due_date <= NOW()`;
+
+  for (const assignment of overdueAssignments) {
+    await sql.begin(async (tx) => {
+      const assignmentRes = await tx`UPDATE chore_assignments
+          SET overdue_notified_at = NOW()
+          WHERE id = ${assignment.id} AND overdue_notified_at IS NULL
+            AND submitted_at IS NULL
+          RETURNING id`;
+
+      if (assignmentRes.length === 0) {
+        return;
+      }
+
+      await notificationService.addNotification(
+        assignment.association_id,
+        assignment.creator_id,
+        `${assignment.claimant_name} has not finished "${assignment.title}" by its due date.`,
+        tx,
+      );
+    });
+  }
+
+  const lapsedAssignments = await sql`SELECT chore_assignments.id,
+        chore_assignments.chore_id, chores.association_id
+      FROM chore_assignments
+        JOIN chores ON chores.id = chore_assignments.chore_id
+      WHERE chore_assignments.released_at IS NULL
+        AND chore_assignments.completed_at IS NULL
+        AND chore_assignments.submitted_at IS NULL
+        AND chores.cancelled_at IS NULL
+        AND chores.due_date + make_interval(
+          hours => ${config.overdueGraceHours}
+        ) <= NOW()`;
+
+  for (const lapsedAssignment of lapsedAssignments) {
+    await sql.begin(async (tx) => {
+      const choreRes = await tx`SELECT user_id, title FROM chores
+          WHERE id = ${lapsedAssignment.chore_id} FOR UPDATE`;
+
+      const assignmentRes = await tx`UPDATE chore_assignments
+          SET released_at = NOW(), lapsed = true
+          WHERE id = ${lapsedAssignment.id}
+            AND released_at IS NULL AND completed_at IS NULL
+            AND submitted_at IS NULL
+          RETURNING user_id`;
+
+      if (assignmentRes.length === 0) {
+        return;
+      }
+
+      const chore = choreRes[0];
+      const escrowed = await coinService.findEscrowedAmount(
+        tx,
+        lapsedAssignment.chore_id,
+      );
+      if (escrowed > 0) {
+        await coinService.refundEscrow(
+          tx,
+          chore.user_id,
+          escrowed,
+          lapsedAssignment.chore_id,
+          "chore_lapsed",
+        );
+      }
+
+      await notificationService.addNotification(
+        lapsedAssignment.association_id,
+        assignmentRes[0].user_id,
+        `Your claim on "${chore.title}" lapsed because it was not finished in time.`,
+        tx,
+      );
+      await notificationService.addNotification(
+        lapsedAssignment.association_id,
+        chore.user_id,
+        `The claim on "${chore.title}" lapsed and its coins were returned to you.`,
+        tx,
+      );
+    });
+  }
+};
+
+// Returns the escrowed coins of chores that expired without an active
+// claim. Chores with one are left to handleOverdueChores, which lets
+// unfinished claims lapse after the grace period and refunds them there.
+// Submitted work stays in escrow until its creator reviews it.
+const refundExpiredChores = async () => {
+  const expiredChores = await sql`SELECT chores.id FROM chores
+      WHERE due_date <= NOW()
+      AND id NOT IN (
+        SELECT chore_id FROM chore_assignments WHERE released_at IS NULL
+      )
+      AND id IN (
+        SELECT chore_id FROM coin_transactions
+          WHERE account = 'escrow'
+          GROUP BY chore_id
+          HAVING SUM(amount) > 0
+      )`;
+
+  for (const expiredChore of expiredChores) {
+    await sql.begin(async (tx) => {
+      // The chore may have been claimed, or moved to a later due date,
+      // since it was selected.
+      const choreRes = await tx`SELECT user_id FROM chores
+          WHERE id = ${expiredChore.id} AND due_date <= NOW()
+          FOR UPDATE`;
+      if (choreRes.length === 0) {
+        return;
+      }
+
+      const assignmentRes = await tx`SELECT id FROM chore_assignments
+          WHERE chore_id = ${expiredChore.id} AND released_at IS NULL`;
+      if (assignmentRes.length > 0) {
+        return;
+      }
+
+      const escrowed = await coinService.findEscrowedAmount(
+        tx,
+        expiredChore.id,
+      );
+      if (escrowed <= 0) {
+        return;
+      }
+
+      await coinService.refundEscrow(
+        tx,
+        choreRes[0].user_id,
+        escrowed,
+        expiredChore.id,
+        "chore_expired",
+      );
+    });
+  }
 };
 
 //
 export {
   addChore,
+  approveChore,
+  cancelChore,
   claimChore,
   completeChore,
+  findChoreById,
+  findChoreDetails,
+  handleOverdueChores,
+  insertChore,
+  listAllChores,
   listAvailableChores,
+  listChoreHistory,
   listChores,
+  listCreatedChores,
+  listHouseholdChores,
+  listPendingReviews,
   listUserChores,
+  refundExpiredChores,
+  rejectChore,
+  releaseChore,
+  removeChore,
+  unassignChore,
+  updateChore,
 };
@@ -0,0 +1,310 @@
+import { sql } from "../database/database.js";
+import * as notificationService from "./notificationService.js";
+
+// memberships.chorecoins and memberships.escrowed_chorecoins are cached sums
+// of the user's own ledger rows in that association, and the balances on
+// households are those of the rows booked to the household. They are only
+// ever written here, inside the same transaction as the ledger rows.
+const reconcileBalances = async (
+  tx,
+  associationId,
+  userIds,
+  householdIds = [],
+) => {
+  const ids = userIds.filter((id) => id !== null && id !== undefined);
+  if (ids.length > 0) {
+    await tx`UPDATE memberships SET
+        chorecoins = (
+          SELECT COALESCE(SUM(amount), 0) FROM coin_transactions
+            WHERE user_id = memberships.user_id
+              AND association_id = memberships.association_id
+              AND household_id IS NULL
+              AND account = 'available'
+        ),
+        escrowed_chorecoins = (
+          SELECT COALESCE(SUM(amount), 0) FROM coin_transactions
+            WHERE user_id = memberships.user_id
+              AND association_id = memberships.association_id
+              AND household_id IS NULL
+              AND account = 'escrow'
+        )
+      WHERE association_id = ${associationId} AND user_id IN ${tx(ids)}`;
+  }
+
+  const households = householdIds.filter((id) => id !== null);
+  if (households.length > 0) {
+    await tx`UPDATE households SET
+        chorecoins = (
+          SELECT COALESCE(SUM(amount), 0) FROM coin_transactions
+            WHERE household_id = households.id AND account = 'available'
+        ),
+        escrowed_chorecoins = (
+          SELECT COALESCE(SUM(amount), 0) FROM coin_transactions
+            WHERE household_id = households.id AND account = 'escrow'
+        )
+      WHERE id IN ${tx(households)}`;
+  }
+};
+
+// Must be called with a transaction from sql.begin. Locks the wallet the
+// member spends from, which is their household's if they belong to one, and
+// returns its available coins, or null if the user is not an active
+// member.
+const lockWallet = async (tx, associationId, userId) => {
+  const membershipRes = await tx`SELECT chorecoins, household_id
+      FROM memberships
+      WHERE association_id = ${associationId} AND user_id = ${userId}
+        AND deactivated_at IS NULL
+      FOR UPDATE`;
+
+  if (membershipRes.length === 0) {
+    return null;
+  }
+
+  const membership = membershipRes[0];
+  if (membership.household_id === null) {
+    return membership.chorecoins;
+  }
+
+  const householdRes = await tx`SELECT chorecoins FROM households
+      WHERE id = ${membership.household_id} FOR UPDATE`;
+
+  return householdRes[0].chorecoins;
+};
+
+// Must be called with a transaction from sql.begin. The debit and credit
+// are { userId, account } pairs, where a null user id refers to the
+// association's treasury. Each side is booked to the user's household
+// unless it names a householdId, null for the user's own balance.
+// Transfers for a chore belong to the chore's association; manual
+// transfers pass the association, who made them and why.
+const recordTransfer = async (
+  tx,
+  debit,
+  credit,
+  amount,
+  choreId,
+  reason,
+  { associationId = null, createdBy = null, note = null } = {},
+) => {
+  if (associationId === null) {
+    const choreRes = await tx`SELECT association_id FROM chores
+        WHERE id = ${choreId}`;
+    associationId = choreRes[0].association_id;
+  }
+
+  const userIds = [debit.userId, credit.userId].filter((id) => id !== null);
+  const membershipRes = userIds.length > 0
+    ? await tx`SELECT user_id, household_id FROM memberships
+        WHERE association_id = ${associationId} AND user_id IN ${tx(userIds)}
+        ORDER BY user_id FOR UPDATE`
+    : [];
+
+  const householdOf = ({ userId, householdId }) => {
+    if (householdId !== undefined) {
+      return householdId;
+    }
+
+    const membership = membershipRes.find((row) => row.user_id === userId);
+    return membership ? membership.household_id : null;
+  };
+  const debitHouseholdId = householdOf(debit);
+  const creditHouseholdId = householdOf(credit);
+
+  const transferRes = await tx`SELECT
+      nextval('coin_transfer_id_seq')::integer AS id`;
+  const transferId = transferRes[0].id;
+
+  await tx`INSERT INTO coin_transactions
+      (transfer_id, association_id, user_id, household_id, chore_id, account,
+        amount, reason, created_by, note) VALUES
+        (${transferId}, ${associationId}, ${debit.userId},
+          ${debitHouseholdId}, ${choreId}, ${debit.account}, ${-amount},
+          ${reason}, ${createdBy}, ${note}),
+        (${transferId}, ${associationId}, ${credit.userId},
+          ${creditHouseholdId}, ${choreId}, ${credit.account}, ${amount},
+          ${reason}, ${createdBy}, ${note})`;
+
+  await reconcileBalances(tx, associationId, userIds, [
+    debitHouseholdId,
+    creditHouseholdId,
+  ]);
+};
+
+const transferCoins = async (
+  tx,
+  fromUserId,
+  toUserId,
+  amount,
+  choreId,
+  reason,
+) => {
+  await recordTransfer(
+    tx,
+    { userId: fromUserId, account: "available" },
+    { userId: toUserId, account: "available" },
+    amount,
+    choreId,
+    reason,
+  );
+};
+
+const escrowCoins = async (tx, userId, amount, choreId) => {
+  await recordTransfer(
+    tx,
+    { userId, account: "available" },
+    { userId, account: "escrow" },
+    amount,
+    choreId,
+    "chore_escrowed",
+  );
+};
+
+// The wallet a chore's coins were escrowed from, which the creator may have
+// left since. Null stands for the creator's own balance.
+const findEscrowHousehold = async (tx, choreId) => {
+  const rows = await tx`SELECT household_id FROM coin_transactions
+      WHERE chore_id = ${choreId} AND account = 'escrow' AND amount > 0
+      ORDER BY id DESC
+      LIMIT 1`;
+
+  return rows.length > 0 ? rows[0].household_id : null;
+};
+
+const releaseEscrow = async (tx, fromUserId, toUserId, amount, choreId) => {
+  const householdId = await findEscrowHousehold(tx, choreId);
+  await recordTransfer(
+    tx,
+    { userId: fromUserId, account: "escrow", householdId },
+    { userId: toUserId, account: "available" },
+    amount,
+    choreId,
+    "chore_completed",
+  );
+};
+
+// Returns the coins to the wallet they were escrowed from.
+const refundEscrow = async (tx, userId, amount, choreId, reason) => {
+  const householdId = await findEscrowHousehold(tx, choreId);
+  await recordTransfer(
+    tx,
+    { userId, account: "escrow", householdId },
+    { userId, account: "available", householdId },
+    amount,
+    choreId,
+    reason,
+  );
+};
+
+// Moves available coins between a member's own balance and a household's
+// wallet. A null household id stands for the member's own balance.
+const moveBetweenWallets = async (
+  tx,
+  associationId,
+  userId,
+  fromHouseholdId,
+  toHouseholdId,
+  amount,
+  reason,
+) => {
+  await recordTransfer(
+    tx,
+    { userId, account: "available", householdId: fromHouseholdId },
+    { userId, account: "available", householdId: toHouseholdId },
+    amount,
+    null,
+    reason,
+    { associationId },
+  );
+};
+
+// Credits a positive amount to the member's available coins from the
+// treasury, or debits a negative amount back to it. For a household member
+// the household's wallet is adjusted. Returns null on success, and
+// otherwise "not_found" or "insufficient_balance".
+const adjustBalance = async (
+  associationId,
+  userId,
+  amount,
+  note,
+  adjustedBy,
+) => {
+  return await sql.begin(async (tx) => {
+    const available = await lockWallet(tx, associationId, userId);
+
+    if (available === null) {
+      return "not_found";
+    }
+
+    if (available + amount < 0) {
+      return "insufficient_balance";
+    }
+
+    const user = { userId, account: "available" };
+    const treasury = { userId: null, account: "available" };
+    await recordTransfer(
+      tx,
+      amount > 0 ? treasury : user,
+      amount > 0 ? user : treasury,
+      Math.abs(amount),
+      null,
+      "manual_adjustment",
+      { associationId, createdBy: adjustedBy, note },
+    );
+
+    await notificationService.addNotification(
+      associationId,
+      userId,
+      `Your balance was adjusted by ${amount} chorecoins: ${note}`,
+      tx,
+    );
+
+    return null;
+  });
+};
+
+// Coins still held in escrow for a chore.
+const findEscrowedAmount = async (tx, choreId) => {
+  const rows = await tx`SELECT COALESCE(SUM(amount), 0)::integer AS amount
+      FROM coin_transactions
+      WHERE chore_id = ${choreId} AND account = 'escrow'`;
+
+  return rows[0].amount;
+};
+
+// The association's whole ledger, or given a user, only the rows booked to
+// that user or to their household's wallet.
+const listTransactions = async (associationId, userId = null) => {
+  const rows = await sql`SELECT coin_transactions.*,
+        users.name AS user_name, households.name AS household_name,
+        chores.title AS chore_title
+      FROM coin_transactions
+        LEFT JOIN users ON users.id = coin_transactions.user_id
+        LEFT JOIN households ON households.id = coin_transactions.household_id
+        LEFT JOIN chores ON chores.id = coin_transactions.chore_id
+      WHERE coin_transactions.association_id = ${associationId}
+        AND (${userId}::integer IS NULL
+          OR coin_transactions.user_id = ${userId}
+          OR coin_transactions.household_id = (
+            SELECT household_id FROM memberships
+              WHERE association_id = ${associationId}
+                AND user_id = ${userId}
+          ))
+      ORDER BY coin_transactions.created_at DESC,
+        coin_transactions.transfer_id DESC, coin_transactions.id`;
+
+  return rows;
+};
+
+export {
+  adjustBalance,
+  escrowCoins,
+  findEscrowedAmount,
+  listTransactions,
+  lockWallet,
+  moveBetweenWallets,
+  reconcileBalances,
+  refundEscrow,
+  releaseEscrow,
+  transferCoins,
+};
@@ -0,0 +1,88 @@
+import { sql } from "../database/database.js";
+import { config } from "../config/config.js";
+import * as mailService from "./mailService.js";
+import { signValue, verifySignature } from "../utils/tokens.js";
+
+const UNIQUE_VIOLATION = "23505";
+
+// The link is tied to the address the user had when it was sent, so it
+// stops working once that address changes.
+const signedFields = (userId, currentEmail, newEmail, expires) => {
+  return JSON.stringify([userId, currentEmail, newEmail, expires]);
+};
+
+const createVerificationLink = async (user, newEmail) => {
+  const expires = Date.now() + config.emailVerificationHours * 60 * 60 * 1000;
+  const signature = await signValue(
+    signedFields(user.id, user.email, newEmail, expires),
+  );
+
+  const params = new URLSearchParams({
+    user: user.id,
+    email: newEmail,
+    expires,
+    signature,
+  });
+  return `${config.appUrl}/auth/verify-email?${params}`;
+};
+
+// Sends the link to the address being verified, which is the user's own
+// address after sign-up and the new one when changing it.
+const sendVerificationEmail = async (user, newEmail = user.email) => {
+  const link = await createVerificationLink(user, newEmail);
+
+  await mailService.sendMail(
+    newEmail,
+    "Confirm your email address",
+    [
+      `Hello ${user.name},`,
+      "",
+      "Follow this link to confirm your email address for your chores account:",
+      "",
+      link,
+      "",
+      `The link is valid for ${config.emailVerificationHours} hours.`,
+    ].join("\n"),
+  );
+};
+
+// Returns null when the address was verified, and otherwise the reason it
+// could not be: "invalid", "expired" or "email_taken". A link turns invalid
+// when the user's address changes while it is being used.
+const verifyEmail = async (userId, newEmail, expires, signature) => {
+  const userRes = await sql`SELECT * FROM users WHERE id = ${Number(userId)}`;
+  if (userRes.length === 0) {
+    return "invalid";
+  }
+
+  const user = userRes[0];
+  const valid = await verifySignature(
+    signedFields(user.id, user.email, newEmail, Number(expires)),
+    signature,
+  );
+  if (!valid) {
+    return "invalid";
+  }
+
+  if (Number(expires) < Date.now()) {
+    return "expired";
+  }
+
+  let updatedRes;
+  try {
+    updatedRes = await sql`UPDATE users
+        SET email = ${newEmail}, email_verified_at = NOW()
+        WHERE id = ${user.id} AND email = ${user.email}
+        RETURNING id`;
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) {
+      return "email_taken";
+    }
+
+    throw e;
+  }
+
+  return updatedRes.length > 0 ? null : "invalid";
+};
+
+export { sendVerificationEmail, verifyEmail };
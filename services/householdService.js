@@ -0,0 +1,264 @@
+import { sql } from "../database/database.js";
+import * as coinService from "./coinService.js";
+import * as notificationService from "./notificationService.js";
+
+const lockMembership = async (tx, associationId, userId) => {
+  const rows = await tx`SELECT * FROM memberships
+      WHERE association_id = ${associationId} AND user_id = ${userId}
+        AND deactivated_at IS NULL
+      FOR UPDATE`;
+  return rows[0];
+};
+
+// Moves the member's own available coins into the household's wallet.
+// Members with coins of their own in escrow cannot join, as the refund or
+// payout of those chores would then be booked to the household.
+const joinHousehold = async (tx, associationId, householdId, membership) => {
+  if (membership.escrowed_chorecoins > 0) {
+    return "escrowed";
+  }
+
+  await tx`UPDATE memberships
+      SET household_id = ${householdId}, household_invitation_id = NULL
+      WHERE id = ${membership.id}`;
+
+  if (membership.chorecoins > 0) {
+    await coinService.moveBetweenWallets(
+      tx,
+      associationId,
+      membership.user_id,
+      null,
+      householdId,
+      membership.chorecoins,
+      "household_joined",
+    );
+  }
+
+  return null;
+};
+
+// Starts a household for the member's unit, with the member as its first
+// member. A unit's household that everyone has left is started again.
+// Returns null on success, and otherwise "no_unit", "in_household",
+// "exists" or "escrowed".
+const createHousehold = async (associationId, userId, name) => {
+  return await sql.begin(async (tx) => {
+    const membership = await lockMembership(tx, associationId, userId);
+
+    if (!membership.unit_id) {
+      return "no_unit";
+    }
+
+    if (membership.household_id) {
+      return "in_household";
+    }
+
+    const householdRes = await tx`INSERT INTO households
+      (association_id, unit_id, name) VALUES
+        (${associationId}, ${membership.unit_id}, ${name})
+      ON CONFLICT (unit_id) DO NOTHING
+      RETURNING id`;
+
+    if (householdRes.length > 0) {
+      return await joinHousehold(
+        tx,
+        associationId,
+        householdRes[0].id,
+        membership,
+      );
+    }
+
+    const emptyRes = await tx`UPDATE households SET name = ${name}
+        WHERE unit_id = ${membership.unit_id}
+          AND NOT EXISTS (
+            SELECT 1 FROM memberships
+              WHERE memberships.household_id = households.id
+                AND memberships.deactivated_at IS NULL
+          )
+        RETURNING id`;
+
+    if (emptyRes.length === 0) {
+      return "exists";
+    }
+
+    return await joinHousehold(
+      tx,
+      associationId,
+      emptyRes[0].id,
+      membership,
+    );
+  });
+};
+
+// Lets a member of the user's household invite someone else living in the
+// same unit. Returns null on success, and otherwise "not_in_household",
+// "not_found", "other_unit" or "in_household".
+const inviteToHousehold = async (associationId, userId, inviteeId) => {
+  return await sql.begin(async (tx) => {
+    const householdRes = await tx`SELECT households.*
+        FROM households
+          JOIN memberships ON memberships.household_id = households.id
+        WHERE memberships.association_id = ${associationId}
+          AND memberships.user_id = ${userId}`;
+
+    if (householdRes.length === 0) {
+      return "not_in_household";
+    }
+
+    const household = householdRes[0];
+    const invitee = await lockMembership(tx, associationId, inviteeId);
+
+    if (!invitee) {
+      return "not_found";
+    }
+
+    if (invitee.household_id) {
+      return "in_household";
+    }
+
+    if (invitee.unit_id !== household.unit_id) {
+      return "other_unit";
+    }
+
+    await tx`UPDATE memberships SET household_invitation_id = ${household.id}
+        WHERE id = ${invitee.id}`;
+
+    await notificationService.addNotification(
+      associationId,
+      invitee.user_id,
+      `You were invited to join the household "${household.name}". ` +
+        "Accept the invitation on the household page.",
+      tx,
+    );
+
+    return null;
+  });
+};
+
+// An invitation lapses when the member moves to another unit. Returns null
+// on success, and otherwise "not_invited", "in_household" or "escrowed".
+const acceptInvitation = async (associationId, userId) => {
+  return await sql.begin(async (tx) => {
+    const membership = await lockMembership(tx, associationId, userId);
+
+    const householdRes = await tx`SELECT unit_id FROM households
+        WHERE id = ${membership.household_invitation_id}`;
+
+    if (
+      householdRes.length === 0 ||
+      householdRes[0].unit_id !== membership.unit_id
+    ) {
+      return "not_invited";
+    }
+
+    if (membership.household_id) {
+      return "in_household";
+    }
+
+    return await joinHousehold(
+      tx,
+      associationId,
+      membership.household_invitation_id,
+      membership,
+    );
+  });
+};
+
+const declineInvitation = async (associationId, userId) => {
+  await sql`UPDATE memberships SET household_invitation_id = NULL
+      WHERE association_id = ${associationId} AND user_id = ${userId}`;
+};
+
+// The coins stay with the household, and the last active member to leave
+// takes what is left in the wallet. Members cannot leave while the
+// household's escrow holds coins for chores of theirs. Returns null on
+// success, and otherwise "not_in_household" or "escrowed".
+const leaveHousehold = async (associationId, userId) => {
+  return await sql.begin(async (tx) => {
+    const membership = await lockMembership(tx, associationId, userId);
+    const householdId = membership.household_id;
+
+    if (!householdId) {
+      return "not_in_household";
+    }
+
+    const householdRes = await tx`SELECT * FROM households
+        WHERE id = ${householdId} FOR UPDATE`;
+
+    const escrowRes = await tx`SELECT
+        COALESCE(SUM(amount), 0)::integer AS amount
+      FROM coin_transactions
+      WHERE household_id = ${householdId} AND user_id = ${userId}
+        AND account = 'escrow'`;
+
+    if (escrowRes[0].amount > 0) {
+      return "escrowed";
+    }
+
+    await tx`UPDATE memberships SET household_id = NULL
+        WHERE id = ${membership.id}`;
+
+    const remainingRes = await tx`SELECT COUNT(*)::integer AS count
+        FROM memberships
+        WHERE household_id = ${householdId} AND deactivated_at IS NULL`;
+
+    const household = householdRes[0];
+    if (remainingRes[0].count === 0 && household.chorecoins > 0) {
+      await coinService.moveBetweenWallets(
+        tx,
+        associationId,
+        userId,
+        householdId,
+        null,
+        household.chorecoins,
+        "household_left",
+      );
+    }
+
+    return null;
+  });
+};
+
+const findHouseholdById = async (householdId) => {
+  const rows = await sql`SELECT households.*, units.name AS unit_name
+      FROM households JOIN units ON units.id = households.unit_id
+      WHERE households.id = ${householdId}`;
+  return rows;
+};
+
+const listHouseholdMembers = async (householdId) => {
+  const rows = await sql`SELECT users.id, users.name, memberships.role
+      FROM memberships JOIN users ON users.id = memberships.user_id
+      WHERE memberships.household_id = ${householdId}
+        AND memberships.deactivated_at IS NULL
+      ORDER BY users.name, users.id`;
+  return rows;
+};
+
+// Members living in the household's unit who are not in a household yet,
+// and whether they have been invited to this one.
+const listInvitableMembers = async (householdId) => {
+  const rows = await sql`SELECT users.id, users.name,
+        COALESCE(memberships.household_invitation_id = households.id, false)
+          AS invited
+      FROM households
+        JOIN memberships ON memberships.unit_id = households.unit_id
+          AND memberships.association_id = households.association_id
+        JOIN users ON users.id = memberships.user_id
+      WHERE households.id = ${householdId}
+        AND memberships.household_id IS NULL
+        AND memberships.deactivated_at IS NULL
+      ORDER BY users.name, users.id`;
+  return rows;
+};
+
+export {
+  acceptInvitation,
+  createHousehold,
+  declineInvitation,
+  findHouseholdById,
+  inviteToHousehold,
+  leaveHousehold,
+  listHouseholdMembers,
+  listInvitableMembers,
+};
@@ -0,0 +1,92 @@
+import { sql } from "../database/database.js";
+import { config } from "../config/config.js";
+import * as mailService from "./mailService.js";
+import { logError } from "../utils/logger.js";
+
+// Invites whoever has the email address, whether or not they have an
+// account yet, so that the outcome does not reveal who is registered.
+// Inviting the same address again sends the invitation again. The
+// invitation is stored even if the message cannot be sent, and the invitee
+// still finds it on their invitations page.
+const inviteMember = async (associationId, invitedBy, email) => {
+  const invitationRes = await sql`INSERT INTO membership_invitations
+    (association_id, email, invited_by) VALUES
+      (${associationId}, ${email}, ${invitedBy.id})
+    ON CONFLICT (association_id, (lower(email)))
+      DO UPDATE SET invited_by = EXCLUDED.invited_by, created_at = NOW()
+    RETURNING (SELECT name FROM associations
+      WHERE id = ${associationId}) AS association_name`;
+
+  try {
+    await mailService.sendMail(
+      email,
+      "You are invited to join a housing association",
+      [
+        "Hello,",
+        "",
+        `${invitedBy.name} invited you to join ` +
+        `${invitationRes[0].association_name} on the chores app.`,
+        "Log in, or register with this email address, and accept the",
+        "invitation here:",
+        "",
+        `${config.appUrl}/associations/invitations`,
+        "",
+        "If you do not want to join, you can ignore this message.",
+      ].join("\n"),
+    );
+  } catch (e) {
+    logError(e.message, { associationId, stack: e.stack });
+  }
+};
+
+// Invitations are only shown to users who have verified that the address
+// they were sent to is theirs.
+const listInvitations = async (user) => {
+  if (!user.email_verified_at) {
+    return [];
+  }
+
+  const rows = await sql`SELECT membership_invitations.*,
+        associations.name AS association_name, users.name AS invited_by_name
+      FROM membership_invitations
+        JOIN associations
+          ON associations.id = membership_invitations.association_id
+        JOIN users ON users.id = membership_invitations.invited_by
+      WHERE lower(membership_invitations.email) = lower(${user.email})
+      ORDER BY membership_invitations.created_at`;
+  return rows;
+};
+
+// Makes the user a resident of the association. A deactivated membership
+// stays deactivated. Returns the id of the association, or null if the
+// user has no such invitation.
+const acceptInvitation = async (invitationId, user) => {
+  if (!user.email_verified_at) {
+    return null;
+  }
+
+  return await sql.begin(async (tx) => {
+    const invitationRes = await tx`DELETE FROM membership_invitations
+        WHERE id = ${invitationId}
+          AND lower(email) = lower(${user.email})
+        RETURNING association_id`;
+
+    if (invitationRes.length === 0) {
+      return null;
+    }
+
+    const associationId = invitationRes[0].association_id;
+    await tx`INSERT INTO memberships (user_id, association_id)
+        VALUES (${user.id}, ${associationId})
+        ON CONFLICT (user_id, association_id) DO NOTHING`;
+
+    return associationId;
+  });
+};
+
+const declineInvitation = async (invitationId, user) => {
+  await sql`DELETE FROM membership_invitations
+      WHERE id = ${invitationId} AND lower(email) = lower(${user.email})`;
+};
+
+export { acceptInvitation, declineInvitation, inviteMember, listInvitations };
@@ -0,0 +1,133 @@
+import { sql } from "../database/database.js";
+import { config } from "../config/config.js";
+import * as mailService from "./mailService.js";
+import * as notificationService from "./notificationService.js";
+import { logError } from "../utils/logger.js";
+
+// Attempts are either logins or password reset requests, which are
+// throttled separately. Reset requests always count as failures.
+const LOGIN = "login";
+const PASSWORD_RESET = "password_reset";
+
+// Failures count towards a lockout only within this window, and after the
+// last successful login for the email address.
+const countAccountFailures = async (email, purpose = LOGIN) => {
+  const rows = await sql`SELECT COUNT(*)::int AS failures,
+        MAX(created_at) AS last_failure_at
+      FROM login_attempts
+      WHERE lower(email) = lower(${email}) AND NOT succeeded
+        AND purpose = ${purpose}
+        AND created_at > NOW() - make_interval(
+          mins => ${config.loginLockoutMinutes})
+        AND created_at > COALESCE(
+          (SELECT MAX(created_at) FROM login_attempts
+            WHERE lower(email) = lower(${email}) AND succeeded
+              AND purpose = ${purpose}),
+          '-infinity')`;
+  return rows[0];
+};
+
+const countIpFailures = async (ipAddress, purpose = LOGIN) => {
+  const rows = await sql`SELECT COUNT(*)::int AS failures,
+        MAX(created_at) AS last_failure_at
+      FROM login_attempts
+      WHERE ip_address = ${ipAddress} AND NOT succeeded
+        AND purpose = ${purpose}
+        AND created_at > NOW() - make_interval(
+          mins => ${config.loginLockoutMinutes})`;
+  return rows[0];
+};
+
+// Each failure doubles the wait before the next attempt, until maxFailures
+// is reached and the wait becomes the full lockout.
+const retryAt = ({ failures, last_failure_at }, maxFailures) => {
+  if (failures === 0) {
+    return null;
+  }
+
+  const delayMs = failures >= maxFailures
+    ? config.loginLockoutMinutes * 60 * 1000
+    : config.loginBackoffSeconds * 1000 * 2 ** (failures - 1);
+  return new Date(last_failure_at.getTime() + delayMs);
+};
+
+const findDelay = async (email, ipAddress, purpose) => {
+  const retryTimes = [
+    retryAt(
+      await countAccountFailures(email, purpose),
+      config.loginMaxFailures,
+    ),
+    retryAt(
+      await countIpFailures(ipAddress, purpose),
+      config.loginMaxFailuresPerIp,
+    ),
+  ].filter((time) => time && time > new Date());
+
+  if (retryTimes.length === 0) {
+    return null;
+  }
+
+  return Math.ceil((Math.max(...retryTimes) - Date.now()) / 1000);
+};
+
+// Returns null when a login may be attempted now, and otherwise the number
+// of seconds to wait.
+const findLoginDelay = async (email, ipAddress) => {
+  return await findDelay(email, ipAddress, LOGIN);
+};
+
+// Like findLoginDelay, for asking for a password reset email. Whether the
+// address belongs to an account makes no difference.
+const findResetDelay = async (email, ipAddress) => {
+  return await findDelay(email, ipAddress, PASSWORD_RESET);
+};
+
+const recordResetRequest = async (email, ipAddress) => {
+  await sql`INSERT INTO login_attempts (email, ip_address, succeeded, purpose)
+      VALUES (${email}, ${ipAddress}, false, ${PASSWORD_RESET})`;
+};
+
+const recordLoginSuccess = async (email, ipAddress) => {
+  await sql`INSERT INTO login_attempts (email, ip_address, succeeded)
+      VALUES (${email}, ${ipAddress}, true)`;
+};
+
+// Pass the user when the email address belongs to an account, so that its
+// owner is told when the account gets locked. The email is sent in the
+// background, so that the response does not reveal that the account
+// exists.
+const recordLoginFailure = async (email, ipAddress, user = null) => {
+  await sql`INSERT INTO login_attempts (email, ip_address, succeeded)
+      VALUES (${email}, ${ipAddress}, false)`;
+
+  const { failures } = await countAccountFailures(email);
+  if (user && failures === config.loginMaxFailures) {
+    const message = `Your account was locked for ` +
+      `${config.loginLockoutMinutes} minutes after ${failures} failed ` +
+      "login attempts. If these were not you, consider changing your " +
+      "password.";
+
+    await notificationService.addNotification(null, user.id, message);
+    mailService.sendMail(
+      user.email,
+      "Your account was locked",
+      [`Hello ${user.name},`, "", message].join("\n"),
+    ).catch((e) => {
+      logError(e.message, { userId: user.id, stack: e.stack });
+    });
+  }
+};
+
+const deleteOldLoginAttempts = async () => {
+  await sql`DELETE FROM login_attempts
+      WHERE created_at < NOW() - interval '1 day'`;
+};
+
+export {
+  deleteOldLoginAttempts,
+  findLoginDelay,
+  findResetDelay,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordResetRequest,
+};
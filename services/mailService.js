@@ -0,0 +1,63 @@
+import { SMTPClient } from "../deps.js";
+import { config } from "../config/config.js";
+
+// Writes each message to a file in the outbox directory, so development
+// needs no mail server.
+const outboxTransport = async (message) => {
+  const outbox = `${Deno.cwd()}/outbox`;
+  await Deno.mkdir(outbox, { recursive: true });
+
+  const fileName = `${Date.now()}-${crypto.randomUUID()}.eml`;
+  await Deno.writeTextFile(
+    `${outbox}/${fileName}`,
+    [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      "",
+      message.text,
+    ].join("\n"),
+  );
+};
+
+const consoleTransport = (message) => {
+  console.log(message);
+};
+
+const smtpTransport = async (message) => {
+  const client = new SMTPClient({
+    connection: {
+      hostname: config.smtpHost,
+      port: config.smtpPort,
+      tls: config.smtpTls,
+      auth: config.smtpUser
+        ? { username: config.smtpUser, password: config.smtpPassword }
+        : undefined,
+    },
+  });
+
+  try {
+    await client.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      content: message.text,
+    });
+  } finally {
+    await client.close();
+  }
+};
+
+const transports = {
+  outbox: outboxTransport,
+  console: consoleTransport,
+  smtp: smtpTransport,
+};
+
+const transport = transports[config.mailTransport] ?? outboxTransport;
+
+const sendMail = async (to, subject, text) => {
+  await transport({ from: config.mailFrom, to, subject, text });
+};
+
+export { sendMail };
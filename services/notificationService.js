@@ -0,0 +1,26 @@
+import { sql } from "../database/database.js";
+
+// Pass the transaction from sql.begin as tx when the notification belongs
+// to a larger change. Notifications about the account rather than one
+// association, such as a lockout, have a null associationId.
+const addNotification = async (associationId, userId, message, tx = sql) => {
+  await tx`INSERT INTO notifications (association_id, user_id, message)
+      VALUES (${associationId}, ${userId}, ${message})`;
+};
+
+// The notifications of the association, and those about the account.
+const listUnreadNotifications = async (associationId, userId) => {
+  const rows = await sql`SELECT * FROM notifications
+      WHERE user_id = ${userId} AND read_at IS NULL
+        AND (association_id IS NULL OR association_id = ${associationId})
+      ORDER BY created_at DESC`;
+
+  return rows;
+};
+
+const markNotificationRead = async (notificationId, userId) => {
+  await sql`UPDATE notifications SET read_at = NOW()
+      WHERE id = ${notificationId} AND user_id = ${userId}`;
+};
+
+export { addNotification, listUnreadNotifications, markNotificationRead };
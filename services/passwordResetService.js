@@ -0,0 +1,87 @@
+import { sql } from "../database/database.js";
+import { config } from "../config/config.js";
+import * as mailService from "./mailService.js";
+import * as userService from "./userService.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+// Returns the token to put in the reset link. Earlier unused tokens of the
+// user stop working.
+const createResetToken = async (userId) => {
+  const token = generateToken();
+  const tokenHash = await hashToken(token);
+
+  await sql.begin(async (tx) => {
+    await tx`UPDATE password_reset_tokens SET used_at = NOW()
+        WHERE user_id = ${userId} AND used_at IS NULL`;
+
+    await tx`INSERT INTO password_reset_tokens
+      (user_id, token_hash, expires_at) VALUES
+        (${userId}, ${tokenHash},
+          NOW() + make_interval(mins => ${config.passwordResetTokenMinutes}))`;
+  });
+
+  return token;
+};
+
+// Used both when users ask for a reset themselves and when an
+// administrator resets their password.
+const sendResetEmail = async (user) => {
+  const token = await createResetToken(user.id);
+
+  await mailService.sendMail(
+    user.email,
+    "Reset your password",
+    [
+      `Hello ${user.name},`,
+      "",
+      "A password reset was requested for your chores account.",
+      "Follow this link to choose a new password:",
+      "",
+      `${config.appUrl}/auth/reset-password/${token}`,
+      "",
+      `The link is valid for ${config.passwordResetTokenMinutes} minutes.`,
+      "If you did not ask for this, you can ignore this message.",
+    ].join("\n"),
+  );
+};
+
+// Sends a reset link if the address belongs to an account, and otherwise
+// does nothing.
+const sendResetEmailTo = async (email) => {
+  const userFromDatabase = await userService.findUserByEmail(email);
+
+  if (userFromDatabase.length === 1) {
+    await sendResetEmail(userFromDatabase[0]);
+  }
+};
+
+const findValidResetToken = async (token) => {
+  const rows = await sql`SELECT * FROM password_reset_tokens
+      WHERE token_hash = ${await hashToken(token)}
+        AND used_at IS NULL AND expires_at > NOW()`;
+  return rows;
+};
+
+// Uses up the token and sets the new password. Returns the id of the user
+// whose password was reset, or null if the token is not valid.
+const resetPassword = async (token, passwordHash) => {
+  const tokenHash = await hashToken(token);
+
+  return await sql.begin(async (tx) => {
+    const tokenRes = await tx`UPDATE password_reset_tokens SET used_at = NOW()
+        WHERE token_hash = ${tokenHash}
+          AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id`;
+
+    if (tokenRes.length === 0) {
+      return null;
+    }
+
+    await tx`UPDATE users SET password = ${passwordHash}
+        WHERE id = ${tokenRes[0].user_id}`;
+
+    return tokenRes[0].user_id;
+  });
+};
+
+export { findValidResetToken, resetPassword, sendResetEmail, sendResetEmailTo };
@@ -0,0 +1,126 @@
+import { sql } from "../database/database.js";
+
+const UNIQUE_VIOLATION = "23505";
+
+// The creator becomes the new association's first admin.
+// Only the operator of the instance starts associations, with
+// scripts/addAssociation.js.
+const addAssociation = async (name, userId) => {
+  return await sql.begin(async (tx) => {
+    const associationRes = await tx`INSERT INTO associations (name)
+        VALUES (${name})
+        RETURNING id`;
+
+    await tx`INSERT INTO memberships (user_id, association_id, role)
+        VALUES (${userId}, ${associationRes[0].id}, 'admin')`;
+
+    return associationRes[0].id;
+  });
+};
+
+const listBuildings = async (associationId) => {
+  const rows = await sql`SELECT * FROM buildings
+      WHERE association_id = ${associationId}
+      ORDER BY name`;
+  return rows;
+};
+
+const listStaircases = async (associationId) => {
+  const rows = await sql`SELECT staircases.*,
+        buildings.name AS building_name
+      FROM staircases JOIN buildings ON buildings.id = staircases.building_id
+      WHERE buildings.association_id = ${associationId}
+      ORDER BY buildings.name, staircases.name`;
+  return rows;
+};
+
+// Units with the names of their staircase, building and association, in the
+// order they are offered to residents. Lists the units of every association
+// unless one is given.
+const listUnits = async (associationId) => {
+  const rows = await sql`SELECT units.*, staircases.name AS staircase_name,
+        staircases.building_id, buildings.name AS building_name
+      FROM units
+        JOIN staircases ON staircases.id = units.staircase_id
+        JOIN buildings ON buildings.id = staircases.building_id
+      WHERE buildings.association_id = ${associationId}
+      ORDER BY buildings.name, staircases.name, units.name`;
+  return rows;
+};
+
+const findUnitById = async (unitId) => {
+  const rows = await sql`SELECT units.*, staircases.name AS staircase_name,
+        staircases.building_id, buildings.name AS building_name,
+        buildings.street_address, buildings.association_id
+      FROM units
+        JOIN staircases ON staircases.id = units.staircase_id
+        JOIN buildings ON buildings.id = staircases.building_id
+      WHERE units.id = ${unitId}`;
+  return rows;
+};
+
+const addBuilding = async (associationId, name, streetAddress) => {
+  await sql`INSERT INTO buildings (association_id, name, street_address)
+      VALUES (${associationId}, ${name}, ${streetAddress})`;
+};
+
+// Returns null on success, and otherwise "not_found" if the building is not
+// in the association or "duplicate" if it already has a staircase of that
+// name.
+const addStaircase = async (associationId, buildingId, name) => {
+  try {
+    const rows = await sql`INSERT INTO staircases (building_id, name)
+        SELECT id, ${name} FROM buildings
+          WHERE id = ${buildingId} AND association_id = ${associationId}
+        RETURNING id`;
+
+    if (rows.length === 0) {
+      return "not_found";
+    }
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) {
+      return "duplicate";
+    }
+
+    throw e;
+  }
+
+  return null;
+};
+
+// Returns null on success, and otherwise "not_found" if the staircase is
+// not in the association or "duplicate" if it already has a unit of that
+// name.
+const addUnit = async (associationId, staircaseId, name) => {
+  try {
+    const rows = await sql`INSERT INTO units (staircase_id, name)
+        SELECT staircases.id, ${name} FROM staircases
+          JOIN buildings ON buildings.id = staircases.building_id
+          WHERE staircases.id = ${staircaseId}
+            AND buildings.association_id = ${associationId}
+        RETURNING id`;
+
+    if (rows.length === 0) {
+      return "not_found";
+    }
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) {
+      return "duplicate";
+    }
+
+    throw e;
+  }
+
+  return null;
+};
+
+export {
+  addAssociation,
+  addBuilding,
+  addStaircase,
+  addUnit,
+  findUnitById,
+  listBuildings,
+  listStaircases,
+  listUnits,
+};
@@ -0,0 +1,31 @@
+import { sql } from "../database/database.js";
+
+// The roles with the association's two-factor setting and how many of its
+// members hold them.
+const listRoles = async (associationId) => {
+  const rows = await sql`SELECT roles.name, roles.description,
+        COALESCE(association_roles.requires_two_factor,
+          roles.requires_two_factor) AS requires_two_factor,
+        (SELECT COUNT(*) FROM memberships
+          WHERE memberships.association_id = ${associationId}
+            AND memberships.role = roles.name)::int AS user_count
+      FROM roles
+        LEFT JOIN association_roles ON association_roles.role = roles.name
+          AND association_roles.association_id = ${associationId}
+      ORDER BY roles.name`;
+  return rows;
+};
+
+const setRequiresTwoFactor = async (
+  associationId,
+  roleName,
+  requiresTwoFactor,
+) => {
+  await sql`INSERT INTO association_roles
+      (association_id, role, requires_two_factor)
+      VALUES (${associationId}, ${roleName}, ${requiresTwoFactor})
+      ON CONFLICT (association_id, role)
+        DO UPDATE SET requires_two_factor = ${requiresTwoFactor}`;
+};
+
+export { listRoles, setRequiresTwoFactor };
@@ -0,0 +1,165 @@
+import { sql } from "../database/database.js";
+import * as choreService from "./choreService.js";
+import * as coinService from "./coinService.js";
+
+// Occurrences are created this far ahead of their due date.
+const LOOKAHEAD_DAYS = 14;
+
+const findNextOccurrence = async (tx, scheduleId) => {
+  const rows = await tx`SELECT *,
+      starts_at + CASE frequency
+        WHEN 'daily' THEN make_interval(days => occurrences * repeat_every)
+        WHEN 'weekly' THEN make_interval(weeks => occurrences * repeat_every)
+        WHEN 'monthly' THEN make_interval(months => occurrences * repeat_every)
+        ELSE make_interval(years => occurrences * repeat_every)
+      END AS next_due_date
+    FROM chore_schedules WHERE id = ${scheduleId} FOR UPDATE`;
+
+  return rows[0];
+};
+
+// Moves the schedule to within one period of its first occurrence that is
+// not yet past, without stepping over it. Leaves at most a couple of past
+// occurrences for materialiseSchedule to skip one by one.
+const skipPastOccurrences = async (tx, scheduleId) => {
+  await tx`UPDATE chore_schedules SET occurrences = GREATEST(
+      occurrences,
+      FLOOR(
+        CASE frequency
+          WHEN 'daily' THEN EXTRACT(EPOCH FROM NOW() - starts_at) / 86400
+          WHEN 'weekly' THEN EXTRACT(EPOCH FROM NOW() - starts_at) / 604800
+          WHEN 'monthly' THEN
+            EXTRACT(YEAR FROM age(NOW(), starts_at)) * 12 +
+              EXTRACT(MONTH FROM age(NOW(), starts_at))
+          ELSE EXTRACT(YEAR FROM age(NOW(), starts_at))
+        END / repeat_every
+      )::integer - 1
+    )
+    WHERE id = ${scheduleId} AND starts_at < NOW()`;
+};
+
+// Creates the chores of a schedule that fall due within the lookahead
+// period. Occurrences already in the past are skipped. Stops at the first
+// occurrence the creator cannot afford, which is retried on the next run.
+const materialiseSchedule = async (tx, scheduleId) => {
+  const lookahead = new Date(Date.now() + LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+  await skipPastOccurrences(tx, scheduleId);
+  let schedule = await findNextOccurrence(tx, scheduleId);
+
+  while (
+    !schedule.cancelled_at &&
+    schedule.next_due_date <= lookahead &&
+    (!schedule.ends_at || schedule.next_due_date <= schedule.ends_at)
+  ) {
+    if (schedule.next_due_date > new Date()) {
+      const added = await choreService.insertChore(
+        tx,
+        schedule.association_id,
+        schedule.user_id,
+        schedule.title,
+        schedule.description,
+        schedule.chorecoins,
+        schedule.next_due_date,
+        {
+          buildingId: schedule.building_id,
+          staircaseId: schedule.staircase_id,
+        },
+        schedule.id,
+      );
+
+      if (!added) {
+        return;
+      }
+    }
+
+    await tx`UPDATE chore_schedules SET occurrences = occurrences + 1
+        WHERE id = ${scheduleId}`;
+    schedule = await findNextOccurrence(tx, scheduleId);
+  }
+};
+
+// Returns false without creating the schedule if the creator cannot afford
+// a single chore of it. The scope is passed on to every chore.
+const addSchedule = async (
+  associationId,
+  userId,
+  title,
+  description,
+  chorecoins,
+  frequency,
+  repeatEvery,
+  startsAt,
+  endsAt,
+  { buildingId = null, staircaseId = null } = {},
+) => {
+  return await sql.begin(async (tx) => {
+    const available = await coinService.lockWallet(tx, associationId, userId);
+
+    if (available === null || available < chorecoins) {
+      return false;
+    }
+
+    const scheduleRes = await tx`INSERT INTO chore_schedules
+      (association_id, user_id, title, description, chorecoins, frequency,
+        repeat_every, starts_at, ends_at, building_id, staircase_id)
+        VALUES (${associationId}, ${userId}, ${title}, ${description},
+          ${chorecoins}, ${frequency}, ${repeatEvery}, ${startsAt},
+          ${endsAt}, ${buildingId}, ${staircaseId})
+        RETURNING id`;
+
+    await materialiseSchedule(tx, scheduleRes[0].id);
+
+    return true;
+  });
+};
+
+// Stops the schedule from creating further chores. Chores it has already
+// created stay, and are cancelled one by one. Returns null on success, and
+// otherwise "not_found", "not_creator" or "cancelled".
+const cancelSchedule = async (associationId, scheduleId, userId) => {
+  return await sql.begin(async (tx) => {
+    const scheduleRes = await tx`SELECT user_id, cancelled_at
+        FROM chore_schedules
+        WHERE id = ${scheduleId} AND association_id = ${associationId}
+        FOR UPDATE`;
+
+    if (scheduleRes.length === 0) {
+      return "not_found";
+    }
+
+    if (scheduleRes[0].user_id !== userId) {
+      return "not_creator";
+    }
+
+    if (scheduleRes[0].cancelled_at) {
+      return "cancelled";
+    }
+
+    await tx`UPDATE chore_schedules SET cancelled_at = NOW()
+        WHERE id = ${scheduleId}`;
+
+    return null;
+  });
+};
+
+// Schedules of members who have been deactivated are skipped, as are
+// cancelled ones.
+const generateScheduledChores = async () => {
+  const schedules = await sql`SELECT chore_schedules.id
+      FROM chore_schedules
+        JOIN memberships
+          ON memberships.association_id = chore_schedules.association_id
+          AND memberships.user_id = chore_schedules.user_id
+      WHERE chore_schedules.cancelled_at IS NULL
+        AND memberships.deactivated_at IS NULL
+        AND (chore_schedules.ends_at IS NULL
+          OR chore_schedules.ends_at > NOW())`;
+
+  for (const schedule of schedules) {
+    await sql.begin(async (tx) => {
+      await materialiseSchedule(tx, schedule.id);
+    });
+  }
+};
+
+export { addSchedule, cancelSchedule, generateScheduledChores };
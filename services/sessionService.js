@@ -0,0 +1,60 @@
+import { sql } from "../database/database.js";
+
+const createSession = async (userId, userAgent, ipAddress) => {
+  const token = crypto.randomUUID();
+
+  await sql`INSERT INTO user_sessions (token, user_id, user_agent, ip_address)
+      VALUES (${token}, ${userId}, ${userAgent}, ${ipAddress})`;
+
+  return token;
+};
+
+const findActiveSession = async (token) => {
+  const rows = await sql`SELECT * FROM user_sessions
+      WHERE token = ${token} AND revoked_at IS NULL`;
+  return rows;
+};
+
+// last_seen_at is only written once a minute to spare the database a write
+// on every request.
+const touchSession = async (sessionId) => {
+  await sql`UPDATE user_sessions SET last_seen_at = NOW()
+      WHERE id = ${sessionId}
+        AND last_seen_at < NOW() - INTERVAL '1 minute'`;
+};
+
+const listActiveSessions = async (userId) => {
+  const rows = await sql`SELECT * FROM user_sessions
+      WHERE user_id = ${userId} AND revoked_at IS NULL
+      ORDER BY last_seen_at DESC`;
+  return rows;
+};
+
+const revokeSession = async (sessionId, userId) => {
+  await sql`UPDATE user_sessions SET revoked_at = NOW()
+      WHERE id = ${sessionId} AND user_id = ${userId}
+        AND revoked_at IS NULL`;
+};
+
+const revokeSessionByToken = async (token) => {
+  await sql`UPDATE user_sessions SET revoked_at = NOW()
+      WHERE token = ${token} AND revoked_at IS NULL`;
+};
+
+// Revokes every login of the user, for example after a password change.
+// The session with the token exceptToken, if given, stays active.
+const revokeUserSessions = async (userId, exceptToken = null) => {
+  await sql`UPDATE user_sessions SET revoked_at = NOW()
+      WHERE user_id = ${userId} AND revoked_at IS NULL
+        AND token IS DISTINCT FROM ${exceptToken}`;
+};
+
+export {
+  createSession,
+  findActiveSession,
+  listActiveSessions,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  touchSession,
+};
@@ -1,8 +1,9 @@
 import { sql } from "../database/database.js";
 
-const findFiveUsersWithMostCreatedChores = async () => {
+const findFiveUsersWithMostCreatedChores = async (associationId) => {
   const rows = await sql`SELECT users.name as name, count(*) as count FROM users
     JOIN chores ON users.id = chores.user_id
+    WHERE chores.association_id = ${associationId}
     GROUP BY users.name
     ORDER BY count DESC
     LIMIT 5`;
@@ -10,4 +11,56 @@ const findFiveUsersWithMostCreatedChores = async () => {
   return rows;
 };
 
-export { findFiveUsersWithMostCreatedChores };
\ No newline at end of file
+// Households are ranked by the chores posted and the chores completed by
+// their members while they belonged to the household.
+const findFiveHouseholdsWithMostChores = async (associationId) => {
+  const rows = await sql`SELECT * FROM (
+      SELECT households.name,
+        (SELECT COUNT(*) FROM chores
+          WHERE household_id = households.id)::int AS chores_created,
+        (SELECT COUNT(*) FROM chore_assignments
+          WHERE household_id = households.id
+            AND completed_at IS NOT NULL)::int AS chores_completed
+      FROM households
+      WHERE households.association_id = ${associationId}
+    ) AS household_statistics
+    ORDER BY chores_created + chores_completed DESC, name
+    LIMIT 5`;
+
+  return rows;
+};
+
+// Chores the user has posted in the association, and chores they claimed
+// there that were approved.
+const findUserStatistics = async (associationId, userId) => {
+  const rows = await sql`SELECT
+      (SELECT COUNT(*) FROM chores
+        WHERE association_id = ${associationId} AND user_id = ${userId})::int
+        AS chores_created,
+      (SELECT COUNT(*) FROM chore_assignments
+        WHERE association_id = ${associationId} AND user_id = ${userId}
+          AND completed_at IS NOT NULL)::int
+        AS chores_completed`;
+
+  return rows[0];
+};
+
+// The same as findUserStatistics for everything members did on behalf of
+// the household.
+const findHouseholdStatistics = async (householdId) => {
+  const rows = await sql`SELECT
+      (SELECT COUNT(*) FROM chores
+        WHERE household_id = ${householdId})::int AS chores_created,
+      (SELECT COUNT(*) FROM chore_assignments
+        WHERE household_id = ${householdId}
+          AND completed_at IS NOT NULL)::int AS chores_completed`;
+
+  return rows[0];
+};
+
+export {
+  findFiveHouseholdsWithMostChores,
+  findFiveUsersWithMostCreatedChores,
+  findHouseholdStatistics,
+  findUserStatistics,
+};
\ No newline at end of file
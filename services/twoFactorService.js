@@ -0,0 +1,103 @@
+import { sql } from "../database/database.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import * as totp from "../utils/totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+
+const normaliseRecoveryCode = (code) => {
+  return String(code ?? "").toLowerCase().replace(/[^0-9a-f]/g, "");
+};
+
+const generateRecoveryCode = () => {
+  const code = generateToken().substring(0, 10);
+  return `${code.substring(0, 5)}-${code.substring(5)}`;
+};
+
+// Turns two-factor authentication on once the user has shown a valid code
+// for the secret. Returns the recovery codes, which are only stored hashed,
+// or null if the code was wrong.
+const enableTwoFactor = async (userId, secret, code) => {
+  const step = await totp.verifyCode(secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = Array.from(
+    { length: RECOVERY_CODE_COUNT },
+    generateRecoveryCode,
+  );
+  const codeRows = await Promise.all(
+    recoveryCodes.map(async (code) => ({
+      user_id: userId,
+      code_hash: await hashToken(normaliseRecoveryCode(code)),
+    })),
+  );
+
+  await sql.begin(async (tx) => {
+    await tx`UPDATE users SET totp_secret = ${secret},
+        totp_enabled_at = NOW(), totp_last_step = ${step}
+        WHERE id = ${userId}`;
+
+    await tx`DELETE FROM recovery_codes WHERE user_id = ${userId}`;
+    await tx`INSERT INTO recovery_codes ${tx(codeRows)}`;
+  });
+
+  return recoveryCodes;
+};
+
+const disableTwoFactor = async (userId) => {
+  await sql.begin(async (tx) => {
+    await tx`UPDATE users SET totp_secret = NULL,
+        totp_enabled_at = NULL, totp_last_step = NULL
+        WHERE id = ${userId}`;
+
+    await tx`DELETE FROM recovery_codes WHERE user_id = ${userId}`;
+  });
+};
+
+// Accepts either a code from the authenticator app or an unused recovery
+// code, which is then used up.
+const verifyLoginCode = async (userId, code) => {
+  return await sql.begin(async (tx) => {
+    const userRes = await tx`SELECT totp_secret, totp_last_step FROM users
+        WHERE id = ${userId} AND totp_enabled_at IS NOT NULL FOR UPDATE`;
+
+    if (userRes.length === 0) {
+      return false;
+    }
+
+    const lastStep = userRes[0].totp_last_step === null
+      ? null
+      : Number(userRes[0].totp_last_step);
+    const step = await totp.verifyCode(userRes[0].totp_secret, code, lastStep);
+
+    if (step !== null) {
+      await tx`UPDATE users SET totp_last_step = ${step}
+          WHERE id = ${userId}`;
+      return true;
+    }
+
+    const recoveryRes = await tx`UPDATE recovery_codes SET used_at = NOW()
+        WHERE id = (
+          SELECT id FROM recovery_codes
+            WHERE user_id = ${userId} AND used_at IS NULL
+              AND code_hash = ${await hashToken(normaliseRecoveryCode(code))}
+            LIMIT 1)
+        RETURNING id`;
+
+    return recoveryRes.length > 0;
+  });
+};
+
+const countUnusedRecoveryCodes = async (userId) => {
+  const rows = await sql`SELECT COUNT(*)::int AS count FROM recovery_codes
+      WHERE user_id = ${userId} AND used_at IS NULL`;
+  return rows[0].count;
+};
+
+export {
+  countUnusedRecoveryCodes,
+  disableTwoFactor,
+  enableTwoFactor,
+  verifyLoginCode,
+};
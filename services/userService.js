@@ -1,14 +1,173 @@
 import { sql } from "../database/database.js";
 
-const addUser = async (name, address, email, password) => {
-  await sql`INSERT INTO users
-      (name, address, email, password)
-        VALUES (${name}, ${address}, ${email}, ${password})`;
+const UNIQUE_VIOLATION = "23505";
+
+// The user belongs to no association until they accept an invitation.
+// Returns false if the email address is already registered.
+const addUser = async (name, email, password) => {
+  try {
+    await sql`INSERT INTO users (name, email, password)
+        VALUES (${name}, ${email}, ${password})`;
+  } catch (e) {
+    if (e.code === UNIQUE_VIOLATION) {
+      return false;
+    }
+
+    throw e;
+  }
+
+  return true;
 };
 
 const findUserByEmail = async (email) => {
-  const rows = await sql`SELECT * FROM users WHERE email = ${email}`;
+  const rows = await sql`SELECT * FROM users
+      WHERE lower(email) = lower(${email})`;
+  return rows;
+};
+
+// Includes whether the user's role in any of their associations requires
+// two-factor authentication.
+const findUserById = async (userId) => {
+  const rows = await sql`SELECT users.*, EXISTS (
+        SELECT 1 FROM memberships
+          JOIN roles ON roles.name = memberships.role
+          LEFT JOIN association_roles
+            ON association_roles.association_id = memberships.association_id
+            AND association_roles.role = memberships.role
+          WHERE memberships.user_id = users.id
+            AND memberships.deactivated_at IS NULL
+            AND COALESCE(association_roles.requires_two_factor,
+              roles.requires_two_factor)
+      ) AS requires_two_factor
+      FROM users
+      WHERE users.id = ${userId}`;
+  return rows;
+};
+
+// The associations the user is an active member of, with the user's role,
+// unit and household in each. The balance is that of the wallet the user
+// spends from there, which is the household's if they belong to one.
+const listMemberships = async (userId) => {
+  const rows = await sql`SELECT memberships.id, memberships.user_id,
+        memberships.association_id, memberships.role, memberships.unit_id,
+        memberships.household_id, memberships.household_invitation_id,
+        memberships.created_at, memberships.deactivated_at,
+        COALESCE(households.chorecoins, memberships.chorecoins)
+          AS chorecoins,
+        COALESCE(households.escrowed_chorecoins,
+          memberships.escrowed_chorecoins) AS escrowed_chorecoins,
+        households.name AS household_name,
+        associations.name AS association_name,
+        units.name AS unit_name, units.staircase_id,
+        staircases.name AS staircase_name, staircases.building_id,
+        buildings.name AS building_name
+      FROM memberships
+        JOIN associations ON associations.id = memberships.association_id
+        LEFT JOIN households ON households.id = memberships.household_id
+        LEFT JOIN units ON units.id = memberships.unit_id
+        LEFT JOIN staircases ON staircases.id = units.staircase_id
+        LEFT JOIN buildings ON buildings.id = staircases.building_id
+      WHERE memberships.user_id = ${userId}
+        AND memberships.deactivated_at IS NULL
+      ORDER BY associations.name, associations.id`;
+  return rows;
+};
+
+// A member of the association, deactivated or not, with their role, own
+// balance, unit and household there.
+const findMember = async (associationId, userId) => {
+  const rows = await sql`SELECT users.*, memberships.role,
+        memberships.unit_id, memberships.chorecoins,
+        memberships.escrowed_chorecoins, memberships.deactivated_at,
+        units.name AS unit_name, staircases.name AS staircase_name,
+        buildings.name AS building_name, households.name AS household_name
+      FROM users
+        JOIN memberships ON memberships.user_id = users.id
+        LEFT JOIN households ON households.id = memberships.household_id
+        LEFT JOIN units ON units.id = memberships.unit_id
+        LEFT JOIN staircases ON staircases.id = units.staircase_id
+        LEFT JOIN buildings ON buildings.id = staircases.building_id
+      WHERE memberships.association_id = ${associationId}
+        AND users.id = ${userId}`;
+  return rows;
+};
+
+// Gives the user the administrator role in the association, or in the
+// first association if none is given, adding or reactivating their
+// membership as needed. Returns false if there is no such association.
+const makeAdministrator = async (associationId, userId) => {
+  const rows = await sql`INSERT INTO memberships
+    (user_id, association_id, role)
+      SELECT ${userId}, id, 'admin' FROM associations
+        WHERE id = COALESCE(
+          ${associationId}::integer,
+          (SELECT MIN(id) FROM associations)
+        )
+    ON CONFLICT (user_id, association_id)
+      DO UPDATE SET role = 'admin', deactivated_at = NULL
+    RETURNING id`;
+  return rows.length > 0;
+};
+
+// Members of the association whose name or email contains the search text,
+// with their role, balance and the time of their last login.
+const listUsers = async (associationId, search = "") => {
+  const pattern = `%${search.replace(/[\\%_]/g, "\\$&")}%`;
+  const rows = await sql`SELECT users.*, memberships.role,
+        memberships.chorecoins, memberships.escrowed_chorecoins,
+        memberships.deactivated_at,
+        (SELECT MAX(created_at) FROM user_sessions
+          WHERE user_sessions.user_id = users.id) AS last_login_at
+      FROM users
+        JOIN memberships ON memberships.user_id = users.id
+      WHERE memberships.association_id = ${associationId}
+        AND (users.name ILIKE ${pattern} OR users.email ILIKE ${pattern})
+      ORDER BY users.name, users.id`;
   return rows;
 };
 
-export { addUser, findUserByEmail };
\ No newline at end of file
+const updateUserDetails = async (userId, name) => {
+  await sql`UPDATE users SET name = ${name} WHERE id = ${userId}`;
+};
+
+const setMembershipUnit = async (associationId, userId, unitId) => {
+  await sql`UPDATE memberships SET unit_id = ${unitId}
+      WHERE association_id = ${associationId} AND user_id = ${userId}`;
+};
+
+const updatePassword = async (userId, passwordHash) => {
+  await sql`UPDATE users SET password = ${passwordHash}
+      WHERE id = ${userId}`;
+};
+
+const setMemberRole = async (associationId, userId, role) => {
+  await sql`UPDATE memberships SET role = ${role}
+      WHERE association_id = ${associationId} AND user_id = ${userId}`;
+};
+
+const deactivateMembership = async (associationId, userId) => {
+  await sql`UPDATE memberships SET deactivated_at = NOW()
+      WHERE association_id = ${associationId} AND user_id = ${userId}
+        AND deactivated_at IS NULL`;
+};
+
+const reactivateMembership = async (associationId, userId) => {
+  await sql`UPDATE memberships SET deactivated_at = NULL
+      WHERE association_id = ${associationId} AND user_id = ${userId}`;
+};
+
+export {
+  addUser,
+  deactivateMembership,
+  findMember,
+  findUserByEmail,
+  findUserById,
+  listMemberships,
+  listUsers,
+  makeAdministrator,
+  reactivateMembership,
+  setMemberRole,
+  setMembershipUnit,
+  updatePassword,
+  updateUserDetails,
+};
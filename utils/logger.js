@@ -0,0 +1,20 @@
+// Logs are written as one JSON object per line, so that they can be
+// searched and correlated by request id.
+const writeLog = (level, message, fields) => {
+  console.log(JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...fields,
+  }));
+};
+
+const logInfo = (message, fields = {}) => {
+  writeLog("info", message, fields);
+};
+
+const logError = (message, fields = {}) => {
+  writeLog("error", message, fields);
+};
+
+export { logError, logInfo };
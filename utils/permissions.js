@@ -0,0 +1,15 @@
+// What each role may do beyond what every logged-in user can.
+const rolePermissions = {
+  resident: [],
+  board: ["chores:moderate", "coins:adjust"],
+  admin: ["chores:moderate", "coins:adjust", "users:manage"],
+};
+
+// Roles are held per association, so permissions are checked against the
+// membership in the current one.
+const hasPermission = (membership, permission) => {
+  return Boolean(membership) &&
+    (rolePermissions[membership.role] ?? []).includes(permission);
+};
+
+export { hasPermission, rolePermissions };
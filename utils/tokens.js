@@ -0,0 +1,58 @@
+import { config } from "../config/config.js";
+
+const toHex = (bytes) => {
+  return Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// A random, URL-safe token for links sent by email.
+const generateToken = () => {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+};
+
+const hashToken = async (token) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token),
+  );
+  return toHex(new Uint8Array(digest));
+};
+
+// An HMAC of the value under the app secret, for links that carry their own
+// data instead of a token stored in the database.
+const signValue = async (value) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(config.appSecret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(value),
+  );
+  return toHex(new Uint8Array(signature));
+};
+
+// Compares in time independent of where the strings differ, so that
+// secrets cannot be guessed one character at a time.
+const tokensEqual = (expected, actual) => {
+  if (typeof actual !== "string" || actual.length !== expected.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+const verifySignature = async (value, signature) => {
+  return tokensEqual(await signValue(value), signature);
+};
+
+export { generateToken, hashToken, signValue, tokensEqual, verifySignature };
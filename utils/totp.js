@@ -0,0 +1,105 @@
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// six digits, a new code every 30 seconds, HMAC-SHA1.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(bytes);
+};
+
+const generateSecret = () => {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+};
+
+const generateCode = async (secret, step) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    base32Decode(secret),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"],
+  );
+
+  const counter = new DataView(new ArrayBuffer(8));
+  counter.setBigUint64(0, BigInt(step));
+  const hmac = new Uint8Array(
+    await crypto.subtle.sign("HMAC", key, counter.buffer),
+  );
+
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// Returns the time step the code belongs to, or null if it is not valid.
+// Codes from one step either side are accepted to allow for clock drift,
+// but never from a step at or before lastStep.
+const verifyCode = async (secret, code, lastStep = null) => {
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  const normalisedCode = String(code ?? "").replace(/\s/g, "");
+
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastStep !== null && step <= lastStep) {
+      continue;
+    }
+
+    if (await generateCode(secret, step) === normalisedCode) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const otpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export { generateSecret, otpauthUri, verifyCode };
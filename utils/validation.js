@@ -0,0 +1,14 @@
+import { validasaur } from "../deps.js";
+
+const passwordRules = [
+  validasaur.required,
+  validasaur.minLength(8),
+  validasaur.match(/^(?=.*[A-Za-z])(?=.*[0-9])/),
+];
+
+const validationMessages = {
+  ...validasaur.defaultMessages,
+  "password.match": "password must contain both letters and digits",
+};
+
+export { passwordRules, validationMessages };